@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createJsonStore } from './store.js';
+
+// Cookie holding the signed login session
+const SESSION_COOKIE = 'tss_session';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Compare two strings without leaking where they differ
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // ignore malformed values
+    }
+  }
+  return cookies;
+}
+
+// Optional password login, API tokens and signed media URLs.
+// Auth is off when no password is configured. The signing secret and token
+// hashes live in <dataDir>/auth.json; sessions are stateless signed cookies
+// that stop working when the password changes.
+function createAuth({ password, dataDir, sessionMaxAge, streamUrlTtl }) {
+  const store = createJsonStore(path.join(dataDir, 'auth.json'), { secret: null, tokens: [] });
+  if (!store.data.secret) {
+    store.data.secret = crypto.randomBytes(32).toString('hex');
+    store.saveNow();
+  }
+
+  const enabled = Boolean(password);
+  const passwordHash = enabled ? sha256(password).toString('hex') : '';
+
+  function sign(value) {
+    return crypto.createHmac('sha256', store.data.secret).update(value).digest('base64url');
+  }
+
+  function checkPassword(candidate) {
+    return enabled && typeof candidate === 'string' && safeEqual(candidate, password);
+  }
+
+  // Cookie value "<expires>.<signature>", expiry in unix seconds
+  function createSession() {
+    const expires = Math.floor(Date.now() / 1000) + sessionMaxAge;
+    return `${expires}.${sign(`session.${expires}.${passwordHash}`)}`;
+  }
+
+  function verifySession(value) {
+    const [expires, signature] = String(value || '').split('.');
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+    return safeEqual(signature, sign(`session.${expires}.${passwordHash}`));
+  }
+
+  function getSessionCookie(req, value = createSession()) {
+    const secure = req.secure ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${sessionMaxAge}${secure}`;
+  }
+
+  function getLogoutCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  // Create an API token; the plain token is only returned here
+  function createToken(name) {
+    const token = `tss_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      hash: sha256(token).toString('hex'),
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    store.data.tokens.push(record);
+    store.saveNow();
+    return { id: record.id, name, createdAt: record.createdAt, token };
+  }
+
+  function listTokens() {
+    return store.data.tokens.map(({ hash, ...token }) => token);
+  }
+
+  function revokeToken(id) {
+    const index = store.data.tokens.findIndex(t => t.id === id);
+    if (index === -1) return false;
+    store.data.tokens.splice(index, 1);
+    store.saveNow();
+    return true;
+  }
+
+  function verifyToken(token) {
+    const hash = sha256(token).toString('hex');
+    const record = store.data.tokens.find(t => t.hash === hash);
+    if (!record) return null;
+    record.lastUsedAt = Date.now();
+    store.save();
+    return record;
+  }
+
+  // Who is making a request: { type: 'session' } or { type: 'token', name }, else null
+  function authenticate(req) {
+    if (!enabled) return { type: 'anonymous' };
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const record = verifyToken(header.slice(7).trim());
+      return record ? { type: 'token', name: record.name } : null;
+    }
+
+    return verifySession(parseCookies(req.headers.cookie)[SESSION_COOKIE]) ? { type: 'session' } : null;
+  }
+
+  // Query string ("exp=..&sig=..") that grants access to one file's /stream and /hls URLs
+  function signMediaQuery(infoHash, fileIndex, ttl = streamUrlTtl) {
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    return `exp=${exp}&sig=${sign(`media.${infoHash}.${fileIndex}.${exp}`)}`;
+  }
+
+  function verifyMediaSignature(infoHash, fileIndex, exp, sig) {
+    if (typeof exp !== 'string' || typeof sig !== 'string') return false;
+    if (!/^\d+$/.test(exp) || Number(exp) < Date.now() / 1000) return false;
+    return safeEqual(sig, sign(`media.${infoHash}.${fileIndex}.${exp}`));
+  }
+
+  // Query string ("exp=..&sig=..") that grants access to a torrent's /playlist.m3u and .xspf
+  function signPlaylistQuery(infoHash, ttl = streamUrlTtl) {
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    return `exp=${exp}&sig=${sign(`playlist.${infoHash}.${exp}`)}`;
+  }
+
+  function verifyPlaylistSignature(infoHash, exp, sig) {
+    if (typeof infoHash !== 'string' || typeof exp !== 'string' || typeof sig !== 'string') return false;
+    if (!/^\d+$/.test(exp) || Number(exp) < Date.now() / 1000) return false;
+    return safeEqual(sig, sign(`playlist.${infoHash}.${exp}`));
+  }
+
+  return {
+    enabled,
+    checkPassword,
+    getSessionCookie,
+    getLogoutCookie,
+    createToken,
+    listTokens,
+    revokeToken,
+    authenticate,
+    signMediaQuery,
+    verifyMediaSignature,
+    signPlaylistQuery,
+    verifyPlaylistSignature,
+    flush: store.saveNow
+  };
+}
+
+export { createAuth };
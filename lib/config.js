@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+
+// Config files looked up in the base directory when none is given
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+// Prefix for environment variable overrides (e.g. TSS_PORT)
+const ENV_PREFIX = 'TSS_';
+
+// Supported settings. Each one can be set in the config file (camelCase key),
+// an environment variable (TSS_UPPER_SNAKE) or a CLI flag (--kebab-case).
+// Settings marked `sensitive` are never exposed over /api/config.
+const OPTIONS = {
+  port: { type: 'integer', default: 8888, min: 1, max: 65535 },
+  host: { type: 'string', default: '0.0.0.0' },
+  password: { type: 'string', default: '', allowEmpty: true, sensitive: true }, // empty = no login
+  sessionMaxAge: { type: 'integer', default: 30 * 24 * 3600, min: 60 }, // seconds
+  streamUrlTtl: { type: 'integer', default: 12 * 3600, min: 60 }, // seconds signed stream links stay valid
+  tempDir: { type: 'path', default: 'temp' },
+  dataDir: { type: 'path', default: 'data' }, // library and other persistent state
+  keepDownloads: { type: 'boolean', default: false }, // keep data when a torrent is removed
+  mediaDir: { type: 'path', default: 'media' }, // where kept files are moved
+  mediaNameTemplate: { type: 'string', default: '{torrent}/{path}' }, // {torrent} {path} {dir} {name} {ext}
+  diskBudget: { type: 'integer', default: 0, min: 0 }, // max bytes in tempDir, 0 = unlimited
+  minFreeSpace: { type: 'integer', default: 1024 * 1024 * 1024, min: 0 }, // pause downloads below this, 0 = off
+  evictKeptData: { type: 'boolean', default: false }, // let disk-space eviction delete kept downloads
+  downloadAllFiles: { type: 'boolean', default: false }, // false = only files being played download
+  trackersFile: { type: 'path', default: 'trackers.txt' },
+  trackerListUrl: {
+    type: 'url',
+    default: 'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_best.txt',
+    allowEmpty: true
+  },
+  trackerListUrls: { type: 'urls', default: [] }, // more remote lists, comma-separated on the command line
+  trackerRefreshInterval: { type: 'integer', default: 6 * 3600, min: 0 }, // seconds between remote list reloads, 0 = startup only
+  uploadLimit: { type: 'integer', default: 5000, min: -1 }, // bytes/s, -1 = unlimited
+  downloadLimit: { type: 'integer', default: -1, min: -1 }, // bytes/s, -1 = unlimited
+  metadataTimeout: { type: 'integer', default: 30000, min: 1000 }, // ms
+  criticalWindowBytes: { type: 'integer', default: 5 * 1024 * 1024, min: 1 },
+  criticalMaxPieces: { type: 'integer', default: 50, min: 1 },
+  stallTimeout: { type: 'integer', default: 8, min: 2 }, // seconds without critical pieces before recovering
+  startupBuffer: { type: 'integer', default: 5, min: 0 }, // seconds buffered before the player starts, 0 = right away
+  ffmpegPath: { type: 'string', default: 'ffmpeg' },
+  ffprobePath: { type: 'string', default: 'ffprobe' },
+  hlsSegmentDuration: { type: 'integer', default: 6, min: 2, max: 30 }, // seconds
+  thumbnailInterval: { type: 'integer', default: 10, min: 0 }, // seconds between seek-preview thumbnails, 0 = off
+  subtitleFallbackEncoding: { type: 'encoding', default: 'windows-1252' }, // for non-UTF-8 subtitles
+  dlna: { type: 'boolean', default: false }, // advertise a DLNA media server on the LAN
+  dlnaName: { type: 'string', default: 'Torrent Stream' } // name TVs show for it
+};
+
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function toEnvName(key) {
+  return ENV_PREFIX + key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function toFlagName(key) {
+  return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+// Read a JSON or YAML config file into a plain object
+function readConfigFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${err.message}`);
+  }
+
+  let data;
+  try {
+    const ext = path.extname(filePath).toLowerCase();
+    data = ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+  } catch (err) {
+    throw new ConfigError(`Invalid config file ${filePath}: ${err.message}`);
+  }
+
+  if (data === null || data === undefined) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object`);
+  }
+  return data;
+}
+
+// Find the config file from --config, TSS_CONFIG or the default names
+function findConfigFile(cliPath, env, baseDir) {
+  const explicit = cliPath || env[`${ENV_PREFIX}CONFIG`];
+  if (explicit) return path.resolve(baseDir, explicit);
+
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(baseDir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Coerce and validate one raw value, returning an error message on failure
+function coerceValue(key, option, raw, source, baseDir) {
+  const where = `${key} (from ${source})`;
+
+  switch (option.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) {
+        return { error: `${where} must be an integer, got "${raw}"` };
+      }
+      if (option.min !== undefined && value < option.min) {
+        return { error: `${where} must be >= ${option.min}, got ${value}` };
+      }
+      if (option.max !== undefined && value > option.max) {
+        return { error: `${where} must be <= ${option.max}, got ${value}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+      return { error: `${where} must be a boolean, got "${raw}"` };
+    }
+    case 'url': {
+      const value = String(raw).trim();
+      if (value === '' && option.allowEmpty) return { value };
+      try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+      } catch {
+        return { error: `${where} must be an http(s) URL, got "${raw}"` };
+      }
+      return { value };
+    }
+    case 'urls': {
+      const values = Array.isArray(raw) ? raw.map(String) : String(raw).split(/[\s,]+/);
+      const value = values.map(v => v.trim()).filter(Boolean);
+      for (const url of value) {
+        const result = coerceValue(key, { type: 'url' }, url, source, baseDir);
+        if (result.error) return result;
+      }
+      return { value };
+    }
+    case 'encoding': {
+      const value = String(raw).trim();
+      try {
+        new TextDecoder(value);
+      } catch {
+        return { error: `${where} must be a known text encoding, got "${raw}"` };
+      }
+      return { value };
+    }
+    case 'path': {
+      const value = String(raw).trim();
+      if (!value) return { error: `${where} must not be empty` };
+      return { value: path.resolve(baseDir, value) };
+    }
+    default: {
+      if (typeof raw === 'object') {
+        return { error: `${where} must be a string` };
+      }
+      const value = String(raw).trim();
+      if (!value && !option.allowEmpty) return { error: `${where} must not be empty` };
+      return { value };
+    }
+  }
+}
+
+// Load settings from defaults < config file < environment < CLI flags
+function loadConfig({ argv = process.argv.slice(2), env = process.env, baseDir = process.cwd() } = {}) {
+  const flagOptions = { config: { type: 'string', short: 'c' } };
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    flagOptions[toFlagName(key)] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+  }
+
+  let flags;
+  try {
+    flags = parseArgs({ args: argv, options: flagOptions, strict: true, allowPositionals: false }).values;
+  } catch (err) {
+    throw new ConfigError(`Invalid command line: ${err.message}`);
+  }
+
+  const configFile = findConfigFile(flags.config, env, baseDir);
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+  const fileDir = configFile ? path.dirname(configFile) : baseDir;
+
+  const errors = [];
+  for (const key of Object.keys(fileValues)) {
+    if (!OPTIONS[key]) {
+      errors.push(`Unknown setting "${key}" in ${configFile}`);
+    }
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    let raw = option.default;
+    let source = 'default';
+    let dir = baseDir;
+
+    if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = path.basename(configFile);
+      dir = fileDir;
+    }
+    if (env[toEnvName(key)] !== undefined) {
+      raw = env[toEnvName(key)];
+      source = toEnvName(key);
+      dir = baseDir;
+    }
+    if (flags[toFlagName(key)] !== undefined) {
+      raw = flags[toFlagName(key)];
+      source = `--${toFlagName(key)}`;
+      dir = baseDir;
+    }
+
+    const result = coerceValue(key, option, raw, source, dir);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      config[key] = result.value;
+      sources[key] = source;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError('Invalid configuration', errors);
+  }
+
+  Object.defineProperty(config, 'sources', { value: Object.freeze(sources) });
+  Object.defineProperty(config, 'configFile', { value: configFile });
+  return Object.freeze(config);
+}
+
+// Settings that are safe to expose to clients
+function getPublicConfig(config) {
+  const result = {};
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    if (!option.sensitive) {
+      result[key] = config[key];
+    }
+  }
+  return result;
+}
+
+// Print the effective configuration with where each value came from
+function printConfig(config) {
+  console.log(`Configuration${config.configFile ? ` (${config.configFile})` : ''}:`);
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    const value = option.sensitive && config[key] ? '********' : JSON.stringify(config[key]);
+    console.log(`   ${key} = ${value} [${config.sources[key]}]`);
+  }
+}
+
+export { loadConfig, getPublicConfig, printConfig, ConfigError, OPTIONS };
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+
+// Bytes a directory takes on disk. Torrent files are written sparsely, so
+// allocated blocks are counted rather than file lengths where available.
+async function getDirSize(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirSize(fullPath);
+    } else if (entry.isFile()) {
+      try {
+        const stat = await fs.promises.stat(fullPath);
+        total += typeof stat.blocks === 'number' ? stat.blocks * 512 : stat.size;
+      } catch {
+        // deleted while walking
+      }
+    }
+  }
+  return total;
+}
+
+// Bytes available to this process on the filesystem holding `dir`, or null if unknown
+async function getFreeSpace(dir) {
+  try {
+    const stats = await fs.promises.statfs(dir);
+    return stats.bavail * stats.bsize;
+  } catch {
+    return null;
+  }
+}
+
+// Human-readable size for log and error messages
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export { getDirSize, getFreeSpace, formatBytes };
@@ -0,0 +1,422 @@
+import dgram from 'dgram';
+import os from 'os';
+
+// DLNA/UPnP media server pieces: SSDP discovery on the LAN, the device and
+// service descriptions, and SOAP/DIDL-Lite messages for ContentDirectory.
+// The HTTP endpoints themselves live in server.js.
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+// Seconds announcements stay valid; they're repeated at half that
+const SSDP_MAX_AGE = 1800;
+
+const DEVICE_TYPE = 'urn:schemas-upnp-org:device:MediaServer:1';
+const CONTENT_DIRECTORY = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+const CONNECTION_MANAGER = 'urn:schemas-upnp-org:service:ConnectionManager:1';
+
+const SERVER_HEADER = `Node.js/${process.versions.node} UPnP/1.0 TorrentStream/1.0`;
+
+// OP=01: byte ranges can be requested, CI=0: not transcoded.
+// Flags: streaming transfer mode, background transfer, connection stall, DLNA 1.5
+const CONTENT_FEATURES = 'DLNA.ORG_OP=01;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=01700000000000000000000000000000';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function ipToNumber(address) {
+  return address.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+function getIpv4Interfaces() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface => iface && (iface.family === 'IPv4' || iface.family === 4));
+}
+
+// Our address on the network `remote` is on, so it can reach the description.
+// Falls back to the first LAN address.
+function getLocalAddressFor(remote) {
+  const interfaces = getIpv4Interfaces();
+  const target = ipToNumber(remote);
+  const match = interfaces.find((iface) => {
+    const mask = ipToNumber(iface.netmask);
+    return ((ipToNumber(iface.address) ^ target) & mask) === 0;
+  });
+  if (match) return match.address;
+  const lan = interfaces.find(iface => !iface.internal);
+  return lan ? lan.address : '127.0.0.1';
+}
+
+// Parse an SSDP datagram: { method, headers } with lower-case header names
+function parseSsdpMessage(text) {
+  const [startLine, ...lines] = text.split('\r\n');
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return { method: startLine.split(' ')[0], headers };
+}
+
+// SSDP responder and announcer for one device. `location(ip)` gives the
+// description URL for clients reaching us on `ip`. M-SEARCH is
+// answered on `address`:`port` (all interfaces, port 1900 by default);
+// announcements always go to the SSDP multicast group.
+function createSsdpServer({ uuid, location, address, port = SSDP_PORT }) {
+  const usn = `uuid:${uuid}`;
+  // Notification types paired with their unique service names
+  const targets = [
+    ['upnp:rootdevice', `${usn}::upnp:rootdevice`],
+    [usn, usn],
+    [DEVICE_TYPE, `${usn}::${DEVICE_TYPE}`],
+    [CONTENT_DIRECTORY, `${usn}::${CONTENT_DIRECTORY}`],
+    [CONNECTION_MANAGER, `${usn}::${CONNECTION_MANAGER}`]
+  ];
+
+  let socket = null;
+  let notifyTimer = null;
+
+  function send(message, port, address) {
+    return new Promise((resolve) => {
+      socket.send(Buffer.from(message), port, address, (err) => {
+        if (err) console.error(`SSDP send to ${address} failed:`, err.message);
+        resolve();
+      });
+    });
+  }
+
+  // ssdp:alive or ssdp:byebye for every target, on every LAN interface.
+  // Stops early if the server is stopped in the middle.
+  async function notify(type) {
+    for (const iface of getIpv4Interfaces().filter(i => !i.internal)) {
+      if (!socket) return;
+      try {
+        socket.setMulticastInterface(iface.address);
+      } catch {
+        continue;
+      }
+      for (const [nt, targetUsn] of targets) {
+        if (!socket) return;
+        const lines = [
+          'NOTIFY * HTTP/1.1',
+          `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+          `NT: ${nt}`,
+          `NTS: ${type}`,
+          `USN: ${targetUsn}`
+        ];
+        if (type === 'ssdp:alive') {
+          lines.push(`CACHE-CONTROL: max-age=${SSDP_MAX_AGE}`, `LOCATION: ${location(iface.address)}`, `SERVER: ${SERVER_HEADER}`);
+        }
+        await send(lines.join('\r\n') + '\r\n\r\n', SSDP_PORT, SSDP_ADDRESS);
+      }
+    }
+  }
+
+  function onSearch(headers, remote) {
+    if (headers.man !== '"ssdp:discover"') return;
+    const st = headers.st;
+    const matches = st === 'ssdp:all' ? targets : targets.filter(([nt]) => nt === st);
+    if (matches.length === 0) return;
+
+    // Spread replies over up to MX seconds (capped, so loopback clients get them fast)
+    const mx = Math.min(Math.max(parseInt(headers.mx, 10) || 1, 1), 5);
+    const delay = Math.random() * Math.min(mx, 1) * 1000;
+    const localAddress = getLocalAddressFor(remote.address);
+
+    setTimeout(async () => {
+      if (!socket) return;
+      for (const [nt, targetUsn] of matches) {
+        if (!socket) return;
+        const lines = [
+          'HTTP/1.1 200 OK',
+          `CACHE-CONTROL: max-age=${SSDP_MAX_AGE}`,
+          `DATE: ${new Date().toUTCString()}`,
+          'EXT:',
+          `LOCATION: ${location(localAddress)}`,
+          `SERVER: ${SERVER_HEADER}`,
+          `ST: ${nt}`,
+          `USN: ${targetUsn}`
+        ];
+        await send(lines.join('\r\n') + '\r\n\r\n', remote.port, remote.address);
+      }
+    }, delay);
+  }
+
+  // Listen for M-SEARCH and announce the device. Resolves to the bound
+  // { address, port }; rejects if it can't be bound (in use without
+  // SO_REUSEADDR, no permission, not a local address).
+  function start() {
+    return new Promise((resolve, reject) => {
+      socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.on('message', (message, remote) => {
+        const { method, headers } = parseSsdpMessage(message.toString());
+        if (method === 'M-SEARCH') onSearch(headers, remote);
+      });
+
+      const fail = (err) => {
+        socket.close();
+        socket = null;
+        reject(err);
+      };
+      socket.once('error', fail);
+
+      socket.bind(port, address, () => {
+        try {
+          socket.setMulticastTTL(4);
+        } catch (err) {
+          fail(err);
+          return;
+        }
+        for (const iface of getIpv4Interfaces()) {
+          try {
+            socket.addMembership(SSDP_ADDRESS, iface.address);
+          } catch {
+            // interface without multicast
+          }
+        }
+        socket.removeAllListeners('error');
+        socket.on('error', err => console.error('SSDP error:', err.message));
+
+        const announce = () => notify('ssdp:alive').catch(err => console.error('SSDP notify failed:', err.message));
+        announce();
+        notifyTimer = setInterval(announce, SSDP_MAX_AGE / 2 * 1000);
+        resolve(socket.address());
+      });
+    });
+  }
+
+  // Say goodbye so control points drop the device right away
+  async function stop() {
+    clearInterval(notifyTimer);
+    notifyTimer = null;
+    if (!socket) return;
+    await notify('ssdp:byebye').catch(err => console.error('SSDP notify failed:', err.message));
+    socket.close();
+    socket = null;
+  }
+
+  return { start, stop };
+}
+
+// Root device description (served as /dlna/description.xml)
+function buildDeviceDescription({ uuid, name }) {
+  const service = (type, id) => [
+    '      <service>',
+    `        <serviceType>${type}</serviceType>`,
+    `        <serviceId>urn:upnp-org:serviceId:${id}</serviceId>`,
+    `        <SCPDURL>/dlna/${id}.xml</SCPDURL>`,
+    `        <controlURL>/dlna/control/${id}</controlURL>`,
+    `        <eventSubURL>/dlna/event/${id}</eventSubURL>`,
+    '      </service>'
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<root xmlns="urn:schemas-upnp-org:device-1-0" xmlns:dlna="urn:schemas-dlna-org:device-1-0">',
+    '  <specVersion><major>1</major><minor>0</minor></specVersion>',
+    '  <device>',
+    `    <deviceType>${DEVICE_TYPE}</deviceType>`,
+    `    <friendlyName>${escapeXml(name)}</friendlyName>`,
+    '    <manufacturer>Torrent Stream</manufacturer>',
+    '    <modelName>Torrent Stream Server</modelName>',
+    '    <dlna:X_DLNADOC>DMS-1.50</dlna:X_DLNADOC>',
+    `    <UDN>uuid:${uuid}</UDN>`,
+    '    <serviceList>',
+    service(CONTENT_DIRECTORY, 'ContentDirectory'),
+    service(CONNECTION_MANAGER, 'ConnectionManager'),
+    '    </serviceList>',
+    '  </device>',
+    '</root>'
+  ].join('\n') + '\n';
+}
+
+// Service description: actions as [name, [[argument, direction, stateVariable]]]
+// and state variables as [name, dataType, sendEvents]
+function buildScpd(actions, variables) {
+  const actionXml = actions.map(([name, args]) => [
+    '    <action>',
+    `      <name>${name}</name>`,
+    '      <argumentList>',
+    ...args.map(([arg, direction, variable]) =>
+      `        <argument><name>${arg}</name><direction>${direction}</direction><relatedStateVariable>${variable}</relatedStateVariable></argument>`),
+    '      </argumentList>',
+    '    </action>'
+  ].join('\n'));
+
+  const variableXml = variables.map(([name, type, events]) =>
+    `    <stateVariable sendEvents="${events ? 'yes' : 'no'}"><name>${name}</name><dataType>${type}</dataType></stateVariable>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<scpd xmlns="urn:schemas-upnp-org:service-1-0">',
+    '  <specVersion><major>1</major><minor>0</minor></specVersion>',
+    '  <actionList>',
+    ...actionXml,
+    '  </actionList>',
+    '  <serviceStateTable>',
+    ...variableXml,
+    '  </serviceStateTable>',
+    '</scpd>'
+  ].join('\n') + '\n';
+}
+
+const CONTENT_DIRECTORY_SCPD = buildScpd([
+  ['Browse', [
+    ['ObjectID', 'in', 'A_ARG_TYPE_ObjectID'],
+    ['BrowseFlag', 'in', 'A_ARG_TYPE_BrowseFlag'],
+    ['Filter', 'in', 'A_ARG_TYPE_Filter'],
+    ['StartingIndex', 'in', 'A_ARG_TYPE_Index'],
+    ['RequestedCount', 'in', 'A_ARG_TYPE_Count'],
+    ['SortCriteria', 'in', 'A_ARG_TYPE_SortCriteria'],
+    ['Result', 'out', 'A_ARG_TYPE_Result'],
+    ['NumberReturned', 'out', 'A_ARG_TYPE_Count'],
+    ['TotalMatches', 'out', 'A_ARG_TYPE_Count'],
+    ['UpdateID', 'out', 'A_ARG_TYPE_UpdateID']
+  ]],
+  ['GetSearchCapabilities', [['SearchCaps', 'out', 'SearchCapabilities']]],
+  ['GetSortCapabilities', [['SortCaps', 'out', 'SortCapabilities']]],
+  ['GetSystemUpdateID', [['Id', 'out', 'SystemUpdateID']]]
+], [
+  ['A_ARG_TYPE_ObjectID', 'string'],
+  ['A_ARG_TYPE_BrowseFlag', 'string'],
+  ['A_ARG_TYPE_Filter', 'string'],
+  ['A_ARG_TYPE_Index', 'ui4'],
+  ['A_ARG_TYPE_Count', 'ui4'],
+  ['A_ARG_TYPE_SortCriteria', 'string'],
+  ['A_ARG_TYPE_Result', 'string'],
+  ['A_ARG_TYPE_UpdateID', 'ui4'],
+  ['SearchCapabilities', 'string'],
+  ['SortCapabilities', 'string'],
+  ['SystemUpdateID', 'ui4', true]
+]);
+
+const CONNECTION_MANAGER_SCPD = buildScpd([
+  ['GetProtocolInfo', [['Source', 'out', 'SourceProtocolInfo'], ['Sink', 'out', 'SinkProtocolInfo']]],
+  ['GetCurrentConnectionIDs', [['ConnectionIDs', 'out', 'CurrentConnectionIDs']]],
+  ['GetCurrentConnectionInfo', [
+    ['ConnectionID', 'in', 'A_ARG_TYPE_ConnectionID'],
+    ['RcsID', 'out', 'A_ARG_TYPE_RcsID'],
+    ['AVTransportID', 'out', 'A_ARG_TYPE_AVTransportID'],
+    ['ProtocolInfo', 'out', 'A_ARG_TYPE_ProtocolInfo'],
+    ['PeerConnectionManager', 'out', 'A_ARG_TYPE_ConnectionManager'],
+    ['PeerConnectionID', 'out', 'A_ARG_TYPE_ConnectionID'],
+    ['Direction', 'out', 'A_ARG_TYPE_Direction'],
+    ['Status', 'out', 'A_ARG_TYPE_ConnectionStatus']
+  ]]
+], [
+  ['SourceProtocolInfo', 'string', true],
+  ['SinkProtocolInfo', 'string', true],
+  ['CurrentConnectionIDs', 'string', true],
+  ['A_ARG_TYPE_ConnectionID', 'i4'],
+  ['A_ARG_TYPE_RcsID', 'i4'],
+  ['A_ARG_TYPE_AVTransportID', 'i4'],
+  ['A_ARG_TYPE_ProtocolInfo', 'string'],
+  ['A_ARG_TYPE_ConnectionManager', 'string'],
+  ['A_ARG_TYPE_Direction', 'string'],
+  ['A_ARG_TYPE_ConnectionStatus', 'string']
+]);
+
+// protocolInfo of a stream we serve
+function getProtocolInfo(mimeType) {
+  return `http-get:*:${mimeType}:${CONTENT_FEATURES}`;
+}
+
+// Service and action of a SOAPACTION header ("urn:...:ContentDirectory:1#Browse")
+function parseSoapAction(header) {
+  const match = /^"?([^#"]+)#([^"]+)"?$/.exec(String(header || '').trim());
+  return match ? { service: match[1], action: match[2] } : null;
+}
+
+// Text of one argument in a SOAP request body, or null
+function getSoapArgument(body, name) {
+  const match = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`).exec(String(body || ''));
+  if (!match) return null;
+  return match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function buildSoapEnvelope(body) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">',
+    `  <s:Body>${body}</s:Body>`,
+    '</s:Envelope>'
+  ].join('\n') + '\n';
+}
+
+// Successful action response with output arguments { name: value }
+function buildSoapResponse(service, action, values) {
+  const args = Object.entries(values).map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`).join('');
+  return buildSoapEnvelope(`<u:${action}Response xmlns:u="${service}">${args}</u:${action}Response>`);
+}
+
+// UPnP error (e.g. 401 Invalid Action, 701 No such object)
+function buildSoapFault(code, description) {
+  return buildSoapEnvelope([
+    '<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring>',
+    '<detail><UPnPError xmlns="urn:schemas-upnp-org:control-1-0">',
+    `<errorCode>${code}</errorCode><errorDescription>${escapeXml(description)}</errorDescription>`,
+    '</UPnPError></detail></s:Fault>'
+  ].join(''));
+}
+
+// DIDL-Lite duration: H:MM:SS.mmm
+function formatDuration(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// DIDL-Lite listing. Objects are containers { type: 'container', id, parentId,
+// title, childCount } or video items { type: 'item', id, parentId, title, url,
+// mimeType, size, duration }.
+function buildDidl(objects) {
+  const entries = objects.map((object) => {
+    const ids = `id="${escapeXml(object.id)}" parentID="${escapeXml(object.parentId)}" restricted="1"`;
+    const title = `<dc:title>${escapeXml(object.title)}</dc:title>`;
+
+    if (object.type === 'container') {
+      return `<container ${ids} childCount="${object.childCount}" searchable="0">${title}<upnp:class>object.container.storageFolder</upnp:class></container>`;
+    }
+
+    const duration = object.duration > 0 ? ` duration="${formatDuration(object.duration)}"` : '';
+    const res = `<res protocolInfo="${getProtocolInfo(object.mimeType)}" size="${object.size}"${duration}>${escapeXml(object.url)}</res>`;
+    return `<item ${ids}>${title}<upnp:class>object.item.videoItem</upnp:class>${res}</item>`;
+  });
+
+  return '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+    entries.join('') + '</DIDL-Lite>';
+}
+
+export {
+  CONTENT_DIRECTORY,
+  CONNECTION_MANAGER,
+  CONTENT_FEATURES,
+  CONTENT_DIRECTORY_SCPD,
+  CONNECTION_MANAGER_SCPD,
+  createSsdpServer,
+  buildDeviceDescription,
+  getProtocolInfo,
+  parseSoapAction,
+  getSoapArgument,
+  buildSoapResponse,
+  buildSoapFault,
+  buildDidl
+};
@@ -0,0 +1,78 @@
+import { spawn, execFile } from 'child_process';
+
+// Check whether a binary can be run (e.g. `ffmpeg -version`)
+function detectBinary(binaryPath) {
+  return new Promise((resolve) => {
+    execFile(binaryPath, ['-version'], { timeout: 10000 }, (err) => {
+      resolve(!err);
+    });
+  });
+}
+
+// Remux a media URL to fragmented MP4 on stdout without re-encoding.
+// Seeking is done by ffmpeg itself through range requests on the input URL.
+function spawnRemux(ffmpegPath, inputUrl, startTime = 0) {
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-ss', String(startTime),
+    '-i', inputUrl,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-c', 'copy',
+    '-sn',
+    '-f', 'mp4',
+    '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+    'pipe:1'
+  ];
+
+  return spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Read container duration and stream codecs with ffprobe
+function probeMedia(ffprobePath, inputUrl) {
+  const args = [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    inputUrl
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(ffprobePath, args, { timeout: 60000, maxBuffer: 10 * 1024 * 1024 }, (err, stdout) => {
+      if (err) return reject(err);
+
+      let data;
+      try {
+        data = JSON.parse(stdout);
+      } catch (parseErr) {
+        return reject(new Error('Invalid ffprobe output'));
+      }
+
+      const streams = data.streams || [];
+      const video = streams.find(s => s.codec_type === 'video');
+      const audio = streams.find(s => s.codec_type === 'audio');
+      const duration = parseFloat(data.format && data.format.duration);
+
+      resolve({
+        duration: Number.isFinite(duration) ? duration : null,
+        container: data.format ? data.format.format_name : null,
+        videoCodec: video ? video.codec_name : null,
+        audioCodec: audio ? audio.codec_name : null,
+        streams
+      });
+    });
+  });
+}
+
+// Keep the tail of a process's stderr for error reporting
+function collectStderr(child, maxLength = 2000) {
+  let output = '';
+  child.stderr.on('data', (chunk) => {
+    output = (output + chunk.toString()).slice(-maxLength);
+  });
+  return () => output.trim();
+}
+
+export { detectBinary, spawnRemux, probeMedia, collectStderr };
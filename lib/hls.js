@@ -0,0 +1,102 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+
+// Keyframe times closer than this to the end don't start a segment of their own
+const MIN_LAST_SEGMENT = 0.5;
+
+// Seeking with stream copy lands on the keyframe at or before the target, so
+// aim just past the keyframe in case its time was rounded down
+const KEYFRAME_SEEK_SLACK = 0.001;
+
+// Fixed-length segments covering a duration: [{ start, length }]
+function buildFixedSegments(duration, segmentDuration) {
+  const segments = [];
+  for (let start = 0; start < duration; start += segmentDuration) {
+    segments.push({ start, length: Math.min(segmentDuration, duration - start) });
+  }
+  return segments.length > 0 ? segments : [{ start: 0, length: duration }];
+}
+
+// Segments that start on keyframes, each at least `segmentDuration` long
+// except the last. `keyframeTimes` are sorted times in seconds.
+function buildKeyframeSegments(keyframeTimes, duration, segmentDuration) {
+  const starts = [0];
+  for (const time of keyframeTimes) {
+    if (time - starts[starts.length - 1] >= segmentDuration && duration - time >= MIN_LAST_SEGMENT) {
+      starts.push(time);
+    }
+  }
+  return starts.map((start, i) => ({
+    start,
+    length: (i + 1 < starts.length ? starts[i + 1] : duration) - start
+  }));
+}
+
+// VOD playlist of the given segments, named `<index>.ts`.
+// `query` is appended to each segment URI (e.g. a signed-URL signature).
+function buildPlaylist(segments, query = '') {
+  const targetDuration = Math.max(1, ...segments.map(s => Math.ceil(s.length)));
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+
+  segments.forEach(({ length }, i) => {
+    lines.push(`#EXTINF:${length.toFixed(3)},`);
+    lines.push(`${i}.ts${query ? `?${query}` : ''}`);
+  });
+
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+// Cut one MPEG-TS segment from a media URL. With `copy` the segment must
+// start on a keyframe and is copied as is; otherwise it's re-encoded so the
+// cut lands exactly on `start`.
+// Writes to a temp file first so partial segments never end up in the cache.
+function generateSegment(ffmpegPath, inputUrl, { start, length, outputPath, copy }) {
+  const tempPath = `${outputPath}.tmp`;
+  const codecArgs = copy
+    ? ['-c', 'copy']
+    : ['-c:v', 'libx264', '-preset', 'veryfast', '-c:a', 'aac'];
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-y',
+    '-ss', String(copy && start > 0 ? start + KEYFRAME_SEEK_SLACK : start),
+    '-i', inputUrl,
+    '-t', String(length),
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    ...codecArgs,
+    '-sn',
+    '-copyts',
+    '-muxdelay', '0',
+    '-f', 'mpegts',
+    tempPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    ffmpeg.on('error', reject);
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        fs.rm(tempPath, { force: true }, () => {});
+        return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+      fs.rename(tempPath, outputPath, (err) => (err ? reject(err) : resolve(outputPath)));
+    });
+  });
+}
+
+export { buildFixedSegments, buildKeyframeSegments, buildPlaylist, generateSegment };
@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+
+// Range requests (RFC 7233), conditional requests (RFC 7232) and
+// Content-Disposition for responses that aren't plain files on disk.
+
+// More ranges than this in one request are ignored (the whole file is sent)
+const MAX_RANGES = 16;
+
+// Parse a Range header for a representation of `size` bytes. Returns null
+// when the header should be ignored (missing, not bytes, malformed), [] when
+// no range can be satisfied (416), else the ranges sorted with overlapping
+// and adjacent ones merged.
+function parseRange(header, size) {
+  if (typeof header !== 'string') return null;
+  const match = /^\s*bytes\s*=(.*)$/i.exec(header);
+  if (!match) return null;
+
+  // Empty list elements are allowed ("bytes=0-1,,5-6")
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    // Suffix range: the last N bytes, or the whole file if it's shorter
+    if (parts[1] === '') {
+      const length = Number(parts[2]);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const end = parts[2] === '' ? Infinity : Number(parts[2]);
+    if (end < start) return null;
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+// Entity tags in an If-Match / If-None-Match header ("*" stays as is)
+function parseEtags(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function stripWeak(tag) {
+  return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
+
+// HTTP dates only have whole seconds
+function toSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+// Evaluate conditional request headers in RFC 7232 order. Returns 412 when
+// a precondition fails, 304 when the client's copy is current, else 200.
+function checkPreconditions(req, etag, lastModified) {
+  const ifMatch = req.headers['if-match'];
+  const ifUnmodifiedSince = req.headers['if-unmodified-since'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  const readOnly = req.method === 'GET' || req.method === 'HEAD';
+
+  if (ifMatch) {
+    // Strong comparison: weak tags never match
+    const tags = parseEtags(ifMatch);
+    if (!tags.includes('*') && !tags.includes(etag)) return 412;
+  } else if (ifUnmodifiedSince && lastModified) {
+    const since = parseHttpDate(ifUnmodifiedSince);
+    if (since !== null && toSeconds(lastModified) > since) return 412;
+  }
+
+  if (ifNoneMatch) {
+    // Weak comparison
+    const tags = parseEtags(ifNoneMatch);
+    if (tags.includes('*') || tags.some(tag => stripWeak(tag) === stripWeak(etag))) {
+      return readOnly ? 304 : 412;
+    }
+  } else if (ifModifiedSince && lastModified && readOnly) {
+    const since = parseHttpDate(ifModifiedSince);
+    if (since !== null && toSeconds(lastModified) <= since) return 304;
+  }
+
+  return 200;
+}
+
+// Whether a Range header still applies: If-Range must name the current
+// representation (strong ETag or exact Last-Modified), else the whole file is sent
+function isRangeCurrent(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return value === etag;
+  }
+  const date = parseHttpDate(value);
+  return date !== null && Boolean(lastModified) && date === toSeconds(lastModified);
+}
+
+// Content-Disposition with the real file name: a plain ASCII fallback for old
+// clients plus the exact UTF-8 name (RFC 6266 / RFC 5987)
+function contentDisposition(fileName, type = 'inline') {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Layout of a multipart/byteranges body: each part is its header, the bytes
+// of the range and a CRLF, and the body ends with `trailer`
+function buildMultipart(ranges, size, contentType) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = ranges.map(range => ({
+    ...range,
+    header: `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  }));
+  const trailer = `--${boundary}--\r\n`;
+  const length = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1) + 2,
+    Buffer.byteLength(trailer)
+  );
+  return { boundary, parts, trailer, length };
+}
+
+// Write bytes start-end of `file` to `res` without ending it; resolves once
+// they're written, rejects if the read fails or the client goes away. Written
+// by hand because WebTorrent's (streamx) pipe() ends `res` after the first
+// range whatever the options, which would cut multipart responses short.
+function writeRange(res, file, start, end, onRead) {
+  return new Promise((resolve, reject) => {
+    const stream = file.createReadStream({ start, end });
+    const release = onRead(stream, start);
+    let done = false;
+
+    const cleanup = (err) => {
+      if (done) return;
+      done = true;
+      release();
+      res.off('close', onClose);
+      res.off('drain', onDrain);
+      stream.destroy();
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+
+    // Client disconnected (seek, close tab, etc) - this is normal
+    const onClose = () => cleanup(new Error('aborted'));
+    res.on('close', onClose);
+
+    // Wait for the client to catch up before reading more
+    const onDrain = () => stream.resume();
+    res.on('drain', onDrain);
+
+    stream.on('data', (chunk) => {
+      if (!res.write(chunk)) stream.pause();
+    });
+    stream.on('error', (err) => {
+      // Only log unexpected errors, not normal browser disconnects
+      if (!err.message.includes('Writable stream closed') &&
+        !err.message.includes('ECONNRESET') &&
+        !err.message.includes('aborted')) {
+        console.error('Stream error:', err.message);
+      }
+      cleanup(err);
+    });
+    stream.on('end', () => cleanup());
+  });
+}
+
+// Answer a GET or HEAD for `file`, anything with a `length` and
+// createReadStream({ start, end }) like a WebTorrent file: validators,
+// conditional requests, then the whole file, one range or several as
+// multipart/byteranges. `onRead(stream, start)` is called for every read
+// and returns a function that is called once that read is over.
+function sendRanges(req, res, file, { contentType, etag, lastModified, onRead = () => () => {} }) {
+  const size = file.length;
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+
+  const precondition = checkPreconditions(req, etag, lastModified);
+  if (precondition !== 200) {
+    res.writeHead(precondition);
+    return res.end();
+  }
+
+  const ranges = isRangeCurrent(req, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+  if (ranges && ranges.length === 0) {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+    return res.end();
+  }
+
+  let send;
+  if (!ranges) {
+    res.writeHead(200, {
+      'Content-Length': size,
+      'Content-Type': contentType
+    });
+    send = async () => {
+      if (size > 0) await writeRange(res, file, 0, size - 1, onRead);
+    };
+  } else if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1,
+      'Content-Type': contentType
+    });
+    send = () => writeRange(res, file, start, end, onRead);
+  } else {
+    const multipart = buildMultipart(ranges, size, contentType);
+    res.writeHead(206, {
+      'Content-Length': multipart.length,
+      'Content-Type': `multipart/byteranges; boundary=${multipart.boundary}`
+    });
+    send = async () => {
+      for (const part of multipart.parts) {
+        res.write(part.header);
+        await writeRange(res, file, part.start, part.end, onRead);
+        res.write('\r\n');
+      }
+      res.write(multipart.trailer);
+    };
+  }
+
+  // Headers only, nothing to read
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  send().then(() => res.end(), () => res.destroy());
+}
+
+export { parseRange, checkPreconditions, isRangeCurrent, contentDisposition, buildMultipart, sendRanges };
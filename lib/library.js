@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import { createJsonStore } from './store.js';
+
+// A file counts as watched once this much of it has been played
+const WATCHED_RATIO = 0.9;
+
+// Positions this close to the start aren't worth resuming from
+const RESUME_MIN_SECONDS = 30;
+
+// Torrents that have been added, kept across restarts in <dataDir>/library.json.
+// Metadata (.torrent files) is saved to <dataDir>/torrents/ so re-adding an
+// entry doesn't have to wait for peers to send it again.
+function createLibrary(dataDir) {
+  const store = createJsonStore(path.join(dataDir, 'library.json'), { torrents: {} });
+  const torrentsDir = path.join(dataDir, 'torrents');
+
+  function getTorrentFilePath(infoHash) {
+    return path.join(torrentsDir, `${infoHash}.torrent`);
+  }
+
+  function list() {
+    return Object.values(store.data.torrents)
+      .sort((a, b) => (b.lastPlayedAt || b.addedAt) - (a.lastPlayedAt || a.addedAt));
+  }
+
+  // Keys come from requests, so only own properties count (not __proto__ etc.)
+  function get(infoHash) {
+    const items = store.data.torrents;
+    return Object.hasOwn(items, infoHash) ? items[infoHash] : null;
+  }
+
+  function getSavedProgress(item, fileIndex) {
+    return item && item.progress && Object.hasOwn(item.progress, fileIndex) ? item.progress[fileIndex] : null;
+  }
+
+  // Record a torrent once its metadata is known
+  function upsert(torrent) {
+    const existing = get(torrent.infoHash);
+    store.data.torrents[torrent.infoHash] = {
+      infoHash: torrent.infoHash,
+      name: torrent.name,
+      magnet: torrent.magnetURI,
+      length: torrent.length,
+      files: torrent.files.map((f, index) => ({ index, name: f.name, path: f.path, length: f.length })),
+      addedAt: existing ? existing.addedAt : Date.now(),
+      lastPlayedFile: existing ? existing.lastPlayedFile : null,
+      lastPlayedAt: existing ? existing.lastPlayedAt : null,
+      dataKept: existing ? existing.dataKept : false,
+      progress: existing ? existing.progress || {} : {}
+    };
+    store.save();
+
+    if (torrent.torrentFile && !fs.existsSync(getTorrentFilePath(torrent.infoHash))) {
+      try {
+        fs.mkdirSync(torrentsDir, { recursive: true });
+        fs.writeFileSync(getTorrentFilePath(torrent.infoHash), torrent.torrentFile);
+      } catch (err) {
+        console.error('Error saving torrent file:', err.message);
+      }
+    }
+  }
+
+  function markPlayed(infoHash, fileIndex) {
+    const item = get(infoHash);
+    if (!item) return;
+    item.lastPlayedFile = fileIndex;
+    item.lastPlayedAt = Date.now();
+    store.save();
+  }
+
+  // Save the playback position of a file. Once watched, a file stays watched
+  // even if it is played again from the start.
+  function setProgress(infoHash, fileIndex, position, duration) {
+    const item = get(infoHash);
+    if (!item || !(duration > 0)) return null;
+    if (!item.progress) item.progress = {};
+
+    const existing = getSavedProgress(item, fileIndex);
+    item.progress[fileIndex] = {
+      position: Math.min(Math.max(0, position), duration),
+      duration,
+      watched: Boolean(existing && existing.watched) || position >= duration * WATCHED_RATIO,
+      updatedAt: Date.now()
+    };
+    store.save();
+    return describeProgress(item.progress[fileIndex]);
+  }
+
+  // Saved progress plus where to resume from (null near the start or end)
+  function describeProgress(progress) {
+    const finished = progress.position >= progress.duration * WATCHED_RATIO;
+    return {
+      ...progress,
+      resumeAt: !finished && progress.position >= RESUME_MIN_SECONDS ? progress.position : null
+    };
+  }
+
+  function getProgress(infoHash, fileIndex) {
+    const progress = getSavedProgress(get(infoHash), fileIndex);
+    return progress ? describeProgress(progress) : null;
+  }
+
+  // Progress of every file in a torrent that has any, keyed by file index
+  function getAllProgress(infoHash) {
+    const item = get(infoHash);
+    const files = {};
+    for (const fileIndex of Object.keys((item && item.progress) || {})) {
+      files[fileIndex] = getProgress(infoHash, fileIndex);
+    }
+    return files;
+  }
+
+  function clearProgress(infoHash, fileIndex) {
+    const item = get(infoHash);
+    if (!getSavedProgress(item, fileIndex)) return false;
+    delete item.progress[fileIndex];
+    store.save();
+    return true;
+  }
+
+  function setDataKept(infoHash, dataKept) {
+    const item = get(infoHash);
+    if (!item) return;
+    item.dataKept = dataKept;
+    store.save();
+  }
+
+  // Saved .torrent file contents, or null
+  function readTorrentFile(infoHash) {
+    try {
+      return fs.readFileSync(getTorrentFilePath(infoHash));
+    } catch {
+      return null;
+    }
+  }
+
+  function remove(infoHash) {
+    if (!get(infoHash)) return false;
+    delete store.data.torrents[infoHash];
+    store.save();
+    fs.rmSync(getTorrentFilePath(infoHash), { force: true });
+    return true;
+  }
+
+  return {
+    list,
+    get,
+    upsert,
+    markPlayed,
+    setProgress,
+    getProgress,
+    getAllProgress,
+    clearProgress,
+    setDataKept,
+    readTorrentFile,
+    remove,
+    flush: store.saveNow
+  };
+}
+
+export { createLibrary };
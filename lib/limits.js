@@ -0,0 +1,112 @@
+// Rate limit settings and the time-of-day schedule. Rates are bytes/s, -1 = unlimited.
+// A schedule rule is { start: 'HH:MM', end: 'HH:MM', days?: [0-6], downloadLimit?, uploadLimit? };
+// `end` before `start` wraps past midnight, and `days` (0 = Sunday) defaults to every day.
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Minutes since midnight for "HH:MM"
+function parseTime(text) {
+  const match = TIME_PATTERN.exec(String(text));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isRate(value) {
+  return Number.isInteger(value) && value >= -1;
+}
+
+// Validate a (partial) settings update, returning a list of error messages
+function validateLimits(update) {
+  const errors = [];
+  if (typeof update !== 'object' || update === null) return ['Settings must be an object'];
+
+  for (const key of ['downloadLimit', 'uploadLimit']) {
+    if (update[key] !== undefined && !isRate(update[key])) {
+      errors.push(`${key} must be an integer >= -1`);
+    }
+  }
+
+  if (update.schedule !== undefined) {
+    if (!Array.isArray(update.schedule)) {
+      errors.push('schedule must be an array');
+    } else {
+      update.schedule.forEach((rule, i) => {
+        if (parseTime(rule && rule.start) === null || parseTime(rule && rule.end) === null) {
+          errors.push(`schedule[${i}] needs start and end times as HH:MM`);
+          return;
+        }
+        for (const key of ['downloadLimit', 'uploadLimit']) {
+          if (rule[key] !== undefined && rule[key] !== null && !isRate(rule[key])) {
+            errors.push(`schedule[${i}].${key} must be an integer >= -1`);
+          }
+        }
+        if (rule.days !== undefined && !(Array.isArray(rule.days) && rule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+          errors.push(`schedule[${i}].days must be a list of weekdays 0-6`);
+        }
+      });
+    }
+  }
+
+  if (update.seedBoost !== undefined) {
+    const boost = update.seedBoost;
+    if (typeof boost !== 'object' || boost === null) {
+      errors.push('seedBoost must be an object');
+    } else {
+      if (boost.enabled !== undefined && typeof boost.enabled !== 'boolean') {
+        errors.push('seedBoost.enabled must be a boolean');
+      }
+      if (boost.uploadLimit !== undefined && !isRate(boost.uploadLimit)) {
+        errors.push('seedBoost.uploadLimit must be an integer >= -1');
+      }
+      if (boost.minutes !== undefined && !(Number.isInteger(boost.minutes) && boost.minutes > 0)) {
+        errors.push('seedBoost.minutes must be a positive integer');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Whether a schedule rule covers a moment in time
+function ruleMatches(rule, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseTime(rule.start);
+  const end = parseTime(rule.end);
+
+  if (start <= end) {
+    const inRange = minutes >= start && minutes < end;
+    return inRange && (!rule.days || rule.days.includes(date.getDay()));
+  }
+
+  // Overnight rule: the part after midnight belongs to the previous day
+  if (minutes >= start) {
+    return !rule.days || rule.days.includes(date.getDay());
+  }
+  if (minutes < end) {
+    return !rule.days || rule.days.includes((date.getDay() + 6) % 7);
+  }
+  return false;
+}
+
+// Limits in effect right now: the first matching schedule rule overrides the
+// base limits, and an active seed boost overrides the upload limit.
+function getEffectiveLimits(settings, date, seedBoostActive) {
+  let download = settings.downloadLimit;
+  let upload = settings.uploadLimit;
+  const reasons = [];
+
+  const rule = (settings.schedule || []).find(r => ruleMatches(r, date));
+  if (rule) {
+    if (isRate(rule.downloadLimit)) download = rule.downloadLimit;
+    if (isRate(rule.uploadLimit)) upload = rule.uploadLimit;
+    reasons.push(`schedule ${rule.start}-${rule.end}`);
+  }
+
+  if (seedBoostActive) {
+    upload = settings.seedBoost.uploadLimit;
+    reasons.push('seed boost');
+  }
+
+  return { download, upload, reasons };
+}
+
+export { parseTime, validateLimits, ruleMatches, getEffectiveLimits };
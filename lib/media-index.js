@@ -0,0 +1,411 @@
+// Keyframe indexes for mapping playback time to byte offsets.
+// MP4: sync samples from the moov sample tables (stts/stss/stsz/stsc/stco).
+// MKV: CuePoints from the Cues element.
+// Both produce { type, duration, points: [{ time, offset }] } sorted by time,
+// where time is in seconds and offset is a byte offset within the file.
+
+// Sanity caps so a corrupt header can't make us buffer gigabytes
+const MAX_MP4_MOOV_SIZE = 64 * 1024 * 1024;
+const MAX_MKV_ELEMENT_SIZE = 32 * 1024 * 1024;
+const MAX_TOP_LEVEL_BOXES = 64;
+
+// --- MP4 ---
+
+function readUInt64(buffer, offset) {
+  return buffer.readUInt32BE(offset) * 2 ** 32 + buffer.readUInt32BE(offset + 4);
+}
+
+// Child boxes of a box payload: [{ type, start, end }] with start at the payload
+function listBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (pos + 16 > end) break;
+      size = readUInt64(buffer, pos + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerSize || pos + size > end) break;
+
+    boxes.push({ type, start: pos + headerSize, end: pos + size });
+    pos += size;
+  }
+
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return listBoxes(buffer, parent.start, parent.end).find(b => b.type === type) || null;
+}
+
+function findPath(buffer, parent, types) {
+  let box = parent;
+  for (const type of types) {
+    box = findBox(buffer, box, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+// Sync samples of the first video track as { time, offset } points
+function parseMoov(moov) {
+  const root = { start: 0, end: moov.length };
+  const moovBox = findBox(moov, root, 'moov');
+  if (!moovBox) return null;
+
+  const video = listBoxes(moov, moovBox.start, moovBox.end)
+    .filter(b => b.type === 'trak')
+    .find(trak => {
+      const hdlr = findPath(moov, trak, ['mdia', 'hdlr']);
+      return hdlr && moov.toString('latin1', hdlr.start + 8, hdlr.start + 12) === 'vide';
+    });
+  if (!video) return null;
+
+  const mdhd = findPath(moov, video, ['mdia', 'mdhd']);
+  const stbl = findPath(moov, video, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return null;
+
+  const version = moov.readUInt8(mdhd.start);
+  const timescale = moov.readUInt32BE(mdhd.start + (version === 1 ? 20 : 12));
+  const mediaDuration = version === 1 ? readUInt64(moov, mdhd.start + 24) : moov.readUInt32BE(mdhd.start + 16);
+  if (!timescale) return null;
+
+  const stts = findBox(moov, stbl, 'stts');
+  const stsz = findBox(moov, stbl, 'stsz');
+  const stsc = findBox(moov, stbl, 'stsc');
+  const stco = findBox(moov, stbl, 'stco') || findBox(moov, stbl, 'co64');
+  const stss = findBox(moov, stbl, 'stss');
+  if (!stts || !stsz || !stsc || !stco) return null;
+
+  // Sample sizes
+  const fixedSize = moov.readUInt32BE(stsz.start + 4);
+  const sampleCount = moov.readUInt32BE(stsz.start + 8);
+  if (sampleCount === 0) return null; // fragmented MP4: samples live in moof boxes
+  const sampleSize = (n) => (fixedSize !== 0 ? fixedSize : moov.readUInt32BE(stsz.start + 12 + (n - 1) * 4));
+
+  // Sync sample numbers (1-based); without stss every sample is a sync sample
+  let syncSamples = null;
+  if (stss) {
+    const count = moov.readUInt32BE(stss.start + 4);
+    syncSamples = new Set();
+    for (let i = 0; i < count; i++) {
+      syncSamples.add(moov.readUInt32BE(stss.start + 8 + i * 4));
+    }
+  }
+
+  // Chunk offsets
+  const is64 = stco.type === 'co64';
+  const chunkCount = moov.readUInt32BE(stco.start + 4);
+  const chunkOffset = (i) => (is64 ? readUInt64(moov, stco.start + 8 + i * 8) : moov.readUInt32BE(stco.start + 8 + i * 4));
+
+  // Sample-to-chunk runs
+  const stscCount = moov.readUInt32BE(stsc.start + 4);
+  const runs = [];
+  for (let i = 0; i < stscCount; i++) {
+    const base = stsc.start + 8 + i * 12;
+    runs.push({ firstChunk: moov.readUInt32BE(base), samplesPerChunk: moov.readUInt32BE(base + 4) });
+  }
+
+  // Byte offsets of sync samples
+  const syncOffsets = new Map();
+  let sample = 1;
+  let run = 0;
+  for (let chunk = 1; chunk <= chunkCount && sample <= sampleCount; chunk++) {
+    while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) run++;
+    let offset = chunkOffset(chunk - 1);
+    for (let i = 0; i < runs[run].samplesPerChunk && sample <= sampleCount; i++) {
+      if (!syncSamples || syncSamples.has(sample)) {
+        syncOffsets.set(sample, offset);
+      }
+      offset += sampleSize(sample);
+      sample++;
+    }
+  }
+
+  // Decode times of sync samples
+  const points = [];
+  const sttsCount = moov.readUInt32BE(stts.start + 4);
+  let time = 0;
+  sample = 1;
+  for (let i = 0; i < sttsCount; i++) {
+    const base = stts.start + 8 + i * 8;
+    const count = moov.readUInt32BE(base);
+    const delta = moov.readUInt32BE(base + 4);
+    for (let j = 0; j < count; j++, sample++) {
+      if (syncOffsets.has(sample)) {
+        points.push({ time: time / timescale, offset: syncOffsets.get(sample) });
+      }
+      time += delta;
+    }
+  }
+
+  return { type: 'mp4', duration: mediaDuration / timescale, points };
+}
+
+// Find and parse the moov box by walking top-level boxes
+async function buildMp4Index(readRange, fileLength) {
+  let pos = 0;
+
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES && pos + 8 <= fileLength; i++) {
+    const header = await readRange(pos, Math.min(pos + 16, fileLength) - 1);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (size === 1) size = readUInt64(header, 8);
+    else if (size === 0) size = fileLength - pos;
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      if (size > MAX_MP4_MOOV_SIZE) return null;
+      return parseMoov(await readRange(pos, pos + size - 1));
+    }
+    pos += size;
+  }
+
+  return null;
+}
+
+// --- MKV ---
+
+const MKV_IDS = {
+  EBML: 0x1A45DFA3,
+  Segment: 0x18538067,
+  SeekHead: 0x114D9B74,
+  Seek: 0x4DBB,
+  SeekID: 0x53AB,
+  SeekPosition: 0x53AC,
+  Info: 0x1549A966,
+  TimestampScale: 0x2AD7B1,
+  Duration: 0x4489,
+  Cluster: 0x1F43B675,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueClusterPosition: 0xF1
+};
+
+// EBML element ID (marker bits kept) at pos: { value, length }
+function readElementId(buffer, pos) {
+  const first = buffer[pos];
+  let length = 1;
+  while (length <= 4 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 4 || pos + length > buffer.length) return null;
+
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + buffer[pos + i];
+  return { value, length };
+}
+
+// EBML variable-size integer (marker bit removed) at pos: { value, length, unknown }
+function readVint(buffer, pos) {
+  const first = buffer[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > buffer.length) return null;
+
+  let value = first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[pos + i];
+    if (buffer[pos + i] !== 0xFF) allOnes = false;
+  }
+  return { value, length, unknown: allOnes };
+}
+
+// Element header at pos: { id, dataStart, dataEnd } (dataEnd is null for unknown sizes)
+function readElementHeader(buffer, pos) {
+  const id = readElementId(buffer, pos);
+  if (!id) return null;
+  const size = readVint(buffer, pos + id.length);
+  if (!size) return null;
+  const dataStart = pos + id.length + size.length;
+  return { id: id.value, dataStart, dataEnd: size.unknown ? null : dataStart + size.value };
+}
+
+// Child elements within [start, end) of a buffer
+function listElements(buffer, start, end) {
+  const elements = [];
+  let pos = start;
+  while (pos < end) {
+    const header = readElementHeader(buffer, pos);
+    if (!header || header.dataEnd === null || header.dataEnd > end) break;
+    elements.push(header);
+    pos = header.dataEnd;
+  }
+  return elements;
+}
+
+function readUInt(buffer, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.dataEnd; i++) value = value * 256 + buffer[i];
+  return value;
+}
+
+function readFloat(buffer, element) {
+  const size = element.dataEnd - element.dataStart;
+  if (size === 4) return buffer.readFloatBE(element.dataStart);
+  if (size === 8) return buffer.readDoubleBE(element.dataStart);
+  return 0;
+}
+
+// Read a whole element at an absolute file position
+async function readElementAt(readRange, fileLength, pos) {
+  const head = await readRange(pos, Math.min(pos + 12, fileLength) - 1);
+  const header = readElementHeader(head, 0);
+  if (!header || header.dataEnd === null) return null;
+  if (header.dataEnd > MAX_MKV_ELEMENT_SIZE || pos + header.dataEnd > fileLength) return null;
+
+  const buffer = await readRange(pos, pos + header.dataEnd - 1);
+  return { buffer, header };
+}
+
+async function buildMkvIndex(readRange, fileLength) {
+  const head = await readRange(0, Math.min(64 * 1024, fileLength) - 1);
+
+  // EBML header, then the Segment
+  const ebml = readElementHeader(head, 0);
+  if (!ebml || ebml.id !== MKV_IDS.EBML || ebml.dataEnd === null) return null;
+  const segment = readElementHeader(head, ebml.dataEnd);
+  if (!segment || segment.id !== MKV_IDS.Segment) return null;
+  const segmentStart = segment.dataStart;
+
+  // Top-level elements in the first chunk (SeekHead and usually Info)
+  const positions = {};
+  let timestampScale = 1000000;
+  let duration = null;
+  let pos = segmentStart;
+
+  while (pos < head.length) {
+    const header = readElementHeader(head, pos);
+    if (!header || header.id === MKV_IDS.Cluster || header.dataEnd === null) break;
+
+    positions[header.id] = pos - segmentStart;
+    if (header.dataEnd > head.length) break;
+
+    if (header.id === MKV_IDS.SeekHead) {
+      for (const seek of listElements(head, header.dataStart, header.dataEnd)) {
+        if (seek.id !== MKV_IDS.Seek) continue;
+        const fields = listElements(head, seek.dataStart, seek.dataEnd);
+        const idField = fields.find(f => f.id === MKV_IDS.SeekID);
+        const posField = fields.find(f => f.id === MKV_IDS.SeekPosition);
+        if (idField && posField) {
+          positions[readUInt(head, idField)] = readUInt(head, posField);
+        }
+      }
+    }
+    pos = header.dataEnd;
+  }
+
+  // Segment info: timestamp scale (ns per tick) and duration
+  if (positions[MKV_IDS.Info] !== undefined) {
+    const info = await readElementAt(readRange, fileLength, segmentStart + positions[MKV_IDS.Info]);
+    if (info && info.header.id === MKV_IDS.Info) {
+      for (const field of listElements(info.buffer, info.header.dataStart, info.header.dataEnd)) {
+        if (field.id === MKV_IDS.TimestampScale) timestampScale = readUInt(info.buffer, field);
+        if (field.id === MKV_IDS.Duration) duration = readFloat(info.buffer, field);
+      }
+    }
+  }
+
+  if (positions[MKV_IDS.Cues] === undefined) return null;
+  const cues = await readElementAt(readRange, fileLength, segmentStart + positions[MKV_IDS.Cues]);
+  if (!cues || cues.header.id !== MKV_IDS.Cues) return null;
+
+  const points = [];
+  for (const cuePoint of listElements(cues.buffer, cues.header.dataStart, cues.header.dataEnd)) {
+    if (cuePoint.id !== MKV_IDS.CuePoint) continue;
+    const fields = listElements(cues.buffer, cuePoint.dataStart, cuePoint.dataEnd);
+    const timeField = fields.find(f => f.id === MKV_IDS.CueTime);
+    const trackPositions = fields.find(f => f.id === MKV_IDS.CueTrackPositions);
+    if (!timeField || !trackPositions) continue;
+
+    const clusterField = listElements(cues.buffer, trackPositions.dataStart, trackPositions.dataEnd)
+      .find(f => f.id === MKV_IDS.CueClusterPosition);
+    if (!clusterField) continue;
+
+    points.push({
+      time: readUInt(cues.buffer, timeField) * timestampScale / 1e9,
+      offset: segmentStart + readUInt(cues.buffer, clusterField)
+    });
+  }
+
+  points.sort((a, b) => a.time - b.time);
+  return {
+    type: 'mkv',
+    duration: duration !== null ? duration * timestampScale / 1e9 : null,
+    points
+  };
+}
+
+// --- Lookup ---
+
+// Build an index for a file by extension; resolves to null when there's none
+async function buildMediaIndex(readRange, fileLength, ext) {
+  let index = null;
+  if (['.mp4', '.m4v', '.mov'].includes(ext)) {
+    index = await buildMp4Index(readRange, fileLength);
+  } else if (['.mkv', '.webm'].includes(ext)) {
+    index = await buildMkvIndex(readRange, fileLength);
+  }
+  return index && index.points.length > 0 ? index : null;
+}
+
+// Last point at or before a time
+function findPointByTime(points, time) {
+  let lo = 0;
+  let hi = points.length - 1;
+  let found = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Byte offset of the keyframe at or before a time
+function indexTimeToByte(index, time) {
+  return index.points[findPointByTime(index.points, time)].offset;
+}
+
+// Time at a byte offset, interpolated between keyframes
+function indexByteToTime(index, offset, fileLength) {
+  const points = index.points;
+  let lo = 0;
+  let hi = points.length - 1;
+  let found = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].offset <= offset) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  const current = points[found];
+  if (offset < current.offset) return 0;
+  const next = points[found + 1] || {
+    time: index.duration || current.time,
+    offset: fileLength
+  };
+  if (next.offset <= current.offset) return current.time;
+
+  const fraction = Math.min((offset - current.offset) / (next.offset - current.offset), 1);
+  return current.time + fraction * (next.time - current.time);
+}
+
+export { buildMediaIndex, buildMp4Index, buildMkvIndex, indexTimeToByte, indexByteToTime };
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createJsonStore } from './store.js';
+
+// Characters not allowed in file names on common filesystems
+const UNSAFE_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+// One path segment that is safe to create on any OS
+function sanitizeSegment(segment) {
+  const clean = segment.replace(UNSAFE_CHARS, '_').replace(/[. ]+$/, '').trim();
+  return clean && clean !== '.' && clean !== '..' ? clean : '_';
+}
+
+// Fill a naming template like "{torrent}/{path}" for a torrent file.
+// Placeholders: {torrent} torrent name, {path} path inside the torrent,
+// {dir} folder inside the torrent, {name} file name without extension, {ext} extension.
+function renderTemplate(template, torrentName, filePath) {
+  const parts = filePath.split(/[\\/]/);
+  const fileName = parts.pop();
+  const ext = path.extname(fileName);
+  const values = {
+    torrent: torrentName,
+    path: filePath,
+    dir: parts.join('/'),
+    name: fileName.slice(0, fileName.length - ext.length),
+    ext
+  };
+
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+  return rendered
+    .split(/[\\/]+/)
+    .filter(Boolean)
+    .map(sanitizeSegment)
+    .join(path.sep);
+}
+
+// A path next to `target` that doesn't exist yet ("Movie (2).mkv")
+function findFreePath(target) {
+  if (!fs.existsSync(target)) return target;
+  const ext = path.extname(target);
+  const base = target.slice(0, target.length - ext.length);
+  for (let i = 2; ; i++) {
+    const candidate = `${base} (${i})${ext}`;
+    if (!fs.existsSync(candidate)) return candidate;
+  }
+}
+
+// Files kept from torrents, moved into <mediaDir> and recorded in
+// <dataDir>/media.json so they can be served after the torrent is gone.
+function createMediaLibrary({ dataDir, mediaDir, template }) {
+  const store = createJsonStore(path.join(dataDir, 'media.json'), { items: {} });
+
+  function list() {
+    return Object.values(store.data.items)
+      .filter(item => fs.existsSync(path.join(mediaDir, item.path)))
+      .sort((a, b) => b.keptAt - a.keptAt);
+  }
+
+  function get(id) {
+    return store.data.items[id] || null;
+  }
+
+  function getFilePath(item) {
+    return path.join(mediaDir, item.path);
+  }
+
+  // Move a completed torrent file into the media directory. The torrent may
+  // still be seeding or streaming it, so it's hard-linked when possible (no
+  // extra space, and the original goes away with the torrent's temp dir),
+  // otherwise copied.
+  async function keep({ sourcePath, infoHash, fileIndex, torrentName, filePath, length }) {
+    const existing = Object.values(store.data.items)
+      .find(item => item.infoHash === infoHash && item.fileIndex === fileIndex);
+    if (existing && fs.existsSync(getFilePath(existing))) return existing;
+
+    const target = findFreePath(path.join(mediaDir, renderTemplate(template, torrentName, filePath)));
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.link(sourcePath, target);
+    } catch {
+      const tempTarget = `${target}.part`;
+      await fs.promises.copyFile(sourcePath, tempTarget);
+      await fs.promises.rename(tempTarget, target);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    store.data.items[id] = {
+      id,
+      infoHash,
+      fileIndex,
+      torrentName,
+      name: path.basename(target),
+      path: path.relative(mediaDir, target),
+      length,
+      keptAt: Date.now()
+    };
+    store.save();
+    return store.data.items[id];
+  }
+
+  // Forget a kept file, optionally deleting it from the media directory
+  function remove(id, { deleteFile = false } = {}) {
+    const item = get(id);
+    if (!item) return false;
+    delete store.data.items[id];
+    store.save();
+    if (deleteFile) {
+      fs.rmSync(getFilePath(item), { force: true });
+    }
+    return true;
+  }
+
+  return {
+    list,
+    get,
+    getFilePath,
+    keep,
+    remove,
+    flush: store.saveNow
+  };
+}
+
+export { createMediaLibrary, renderTemplate };
@@ -0,0 +1,89 @@
+// Client names for Azureus-style peer id prefixes ("-qB4250-")
+const CLIENT_CODES = {
+  AZ: 'Vuze',
+  BI: 'BiglyBT',
+  BT: 'BitTorrent',
+  DE: 'Deluge',
+  KT: 'KTorrent',
+  LT: 'libtorrent',
+  lt: 'libTorrent',
+  qB: 'qBittorrent',
+  TR: 'Transmission',
+  UT: 'µTorrent',
+  UM: 'µTorrent Mac',
+  WD: 'WebTorrent Desktop',
+  WW: 'WebTorrent'
+};
+
+// How a peer was found, as shown in the peer table
+const PEER_SOURCES = {
+  tracker: 'tracker',
+  dht: 'dht',
+  lsd: 'lsd',
+  ut_pex: 'pex',
+  manual: 'manual'
+};
+
+// Client name and version: the `v` field of the extension handshake if the
+// peer sent one, else decoded from its peer id
+function getClientName(wire) {
+  const version = wire.peerExtendedHandshake && wire.peerExtendedHandshake.v;
+  if (version) {
+    return typeof version === 'string' ? version : new TextDecoder().decode(version);
+  }
+  if (!wire.peerId) return null;
+
+  const prefix = Buffer.from(wire.peerId, 'hex').toString('latin1', 0, 8);
+  const match = /^-([A-Za-z~]{2})([0-9A-Za-z]{4})-$/.exec(prefix);
+  if (!match) return null;
+  return `${CLIENT_CODES[match[1]] || match[1]} ${match[2].split('').join('.')}`;
+}
+
+function getPeerSource(peer) {
+  if (peer.type === 'webSeed') return 'webseed';
+  if (PEER_SOURCES[peer.source]) return PEER_SOURCES[peer.source];
+  return peer.type.endsWith('Incoming') ? 'incoming' : 'unknown';
+}
+
+// One connected peer of a torrent, for /api/peers
+function describePeer(torrent, peer) {
+  const wire = peer.wire;
+  const pieceCount = torrent.pieces.length;
+
+  let pieces = 0;
+  if (wire.peerPieces && pieceCount > 0) {
+    for (let i = 0; i < pieceCount; i++) {
+      if (wire.peerPieces.get(i)) pieces++;
+    }
+  }
+
+  return {
+    id: peer.id,
+    address: wire.remoteAddress ? `${wire.remoteAddress}:${wire.remotePort}` : peer.id,
+    type: wire.type,
+    source: getPeerSource(peer),
+    client: getClientName(wire),
+    downloadSpeed: wire.downloadSpeed(),
+    uploadSpeed: wire.uploadSpeed(),
+    downloaded: wire.downloaded,
+    uploaded: wire.uploaded,
+    peerChoking: wire.peerChoking, // they won't send us data
+    peerInterested: wire.peerInterested,
+    amChoking: wire.amChoking,
+    amInterested: wire.amInterested,
+    requests: wire.requests.length, // our outstanding block requests to them
+    progress: pieceCount > 0 ? pieces / pieceCount : 0
+  };
+}
+
+// Peers of a torrent that finished the handshake. Sources are only known to
+// WebTorrent's peer objects, so the wires are matched back to those.
+function getConnectedPeers(torrent) {
+  if (!torrent._peers) return [];
+  const wires = new Set(torrent.wires);
+  return Array.from(torrent._peers.values())
+    .filter(peer => peer.wire && wires.has(peer.wire))
+    .map(peer => describePeer(torrent, peer));
+}
+
+export { getClientName, getConnectedPeers };
@@ -0,0 +1,48 @@
+// Playlist files for external players. Each item is
+// { title, location, duration } with duration in seconds (null if unknown).
+
+// Extended M3U, as read by VLC, mpv, Kodi and most TV boxes
+function buildM3u(items) {
+  const lines = ['#EXTM3U'];
+  for (const item of items) {
+    const duration = item.duration > 0 ? Math.round(item.duration) : -1;
+    // EXTINF titles end at the line break
+    lines.push(`#EXTINF:${duration},${item.title.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(item.location);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// XSPF (XML Shareable Playlist Format); durations are in milliseconds
+function buildXspf(title, items) {
+  const tracks = items.map((item) => {
+    const duration = item.duration > 0 ? `\n      <duration>${Math.round(item.duration * 1000)}</duration>` : '';
+    return [
+      '    <track>',
+      `      <location>${escapeXml(item.location)}</location>`,
+      `      <title>${escapeXml(item.title)}</title>${duration}`,
+      '    </track>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>'
+  ].join('\n') + '\n';
+}
+
+export { buildM3u, buildXspf };
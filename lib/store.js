@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+
+// Small JSON file store. Changes are written atomically (temp file + rename),
+// debounced so frequent updates like playback progress don't hammer the disk.
+function createJsonStore(filePath, defaults = {}, { delay = 1000 } = {}) {
+  let data = { ...defaults };
+  let timer = null;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      data = { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+    }
+  } catch (err) {
+    // Keep the broken file around instead of overwriting it silently
+    console.error(`Error reading ${filePath}, starting empty:`, err.message);
+    try {
+      fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+    } catch {
+      // ignore
+    }
+  }
+
+  function saveNow() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`Error writing ${filePath}:`, err.message);
+    }
+  }
+
+  function save() {
+    if (!timer) {
+      timer = setTimeout(saveNow, delay);
+    }
+  }
+
+  return {
+    get data() {
+      return data;
+    },
+    save,
+    saveNow
+  };
+}
+
+export { createJsonStore };
@@ -0,0 +1,256 @@
+import path from 'path';
+import { spawn } from 'child_process';
+
+// Subtitle file extensions we can convert to WebVTT
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// Embedded subtitle codecs ffmpeg can convert to WebVTT (image-based ones like PGS can't)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Common language names/codes found in subtitle file names
+const LANGUAGE_NAMES = {
+  en: 'en', eng: 'en', english: 'en',
+  es: 'es', spa: 'es', spanish: 'es',
+  fr: 'fr', fre: 'fr', fra: 'fr', french: 'fr',
+  de: 'de', ger: 'de', deu: 'de', german: 'de',
+  it: 'it', ita: 'it', italian: 'it',
+  pt: 'pt', por: 'pt', portuguese: 'pt',
+  ru: 'ru', rus: 'ru', russian: 'ru',
+  nl: 'nl', dut: 'nl', nld: 'nl', dutch: 'nl',
+  pl: 'pl', pol: 'pl', polish: 'pl',
+  tr: 'tr', tur: 'tr', turkish: 'tr',
+  ar: 'ar', ara: 'ar', arabic: 'ar',
+  zh: 'zh', chi: 'zh', zho: 'zh', chinese: 'zh',
+  ja: 'ja', jpn: 'ja', japanese: 'ja',
+  ko: 'ko', kor: 'ko', korean: 'ko',
+  vi: 'vi', vie: 'vi', vietnamese: 'vi'
+};
+
+function isSubtitleFile(filename) {
+  return SUBTITLE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function stripExtension(filename) {
+  return filename.slice(0, filename.length - path.extname(filename).length);
+}
+
+// Guess a language code from free text like "Movie.2020.English.srt" or "eng"
+function guessLanguage(text) {
+  const tokens = String(text || '').toLowerCase().split(/[^a-z]+/).reverse();
+  for (const token of tokens) {
+    if (LANGUAGE_NAMES[token]) return LANGUAGE_NAMES[token];
+  }
+  return null;
+}
+
+// Find subtitle files in a torrent that belong to a video file.
+// A subtitle matches when its name starts with the video's name; if the torrent
+// has only one video, every subtitle file in it matches (e.g. "Subs/2_English.srt").
+function findSidecarSubtitles(files, videoIndex, isVideoFile) {
+  const video = files[videoIndex];
+  const videoBase = stripExtension(video.name).toLowerCase();
+  const videoCount = files.filter(f => isVideoFile(f.name)).length;
+
+  return files
+    .map((file, index) => ({ file, index }))
+    .filter(({ file }) => isSubtitleFile(file.name))
+    .filter(({ file }) => videoCount === 1 || file.name.toLowerCase().startsWith(videoBase))
+    .map(({ file, index }) => {
+      const base = stripExtension(file.name);
+      const suffix = base.toLowerCase().startsWith(videoBase) ? base.slice(videoBase.length) : base;
+      const language = guessLanguage(suffix);
+      return {
+        index,
+        name: file.name,
+        label: suffix.replace(/^[._\-\s]+/, '') || file.name,
+        language
+      };
+    });
+}
+
+// Embedded text subtitle streams from an ffprobe result
+function getEmbeddedSubtitleStreams(streams) {
+  return streams
+    .filter(s => s.codec_type === 'subtitle' && TEXT_SUBTITLE_CODECS.includes(s.codec_name))
+    .map(s => {
+      const tags = s.tags || {};
+      const language = tags.language && tags.language !== 'und' ? (guessLanguage(tags.language) || tags.language) : null;
+      return {
+        streamIndex: s.index,
+        codec: s.codec_name,
+        label: tags.title || tags.language || `Track ${s.index}`,
+        language
+      };
+    });
+}
+
+// Decode subtitle bytes, detecting BOMs, UTF-16 and invalid UTF-8
+function decodeSubtitle(buffer, fallbackEncoding = 'windows-1252') {
+  const bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+
+  // UTF-16 without BOM: lots of zero bytes in even or odd positions
+  const sample = bytes.subarray(0, 1000);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length / 4) return new TextDecoder('utf-16le').decode(bytes);
+  if (evenZeros > sample.length / 4) return new TextDecoder('utf-16be').decode(bytes);
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder(fallbackEncoding).decode(bytes);
+  }
+}
+
+// "00:01:02,345" -> "00:01:02.345" (also pads "1:02:03.4" style ASS times)
+function formatVttTime(hours, minutes, seconds, fraction) {
+  const ms = String(fraction || '0').padEnd(3, '0').slice(0, 3);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${ms}`;
+}
+
+function srtToVtt(text) {
+  const body = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/g, (m, h, min, s, f) => formatVttTime(h, min, s, f))
+    .trim();
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function normalizeVtt(text) {
+  const body = text.replace(/\r\n?/g, '\n').trim();
+  return body.startsWith('WEBVTT') ? `${body}\n` : `WEBVTT\n\n${body}\n`;
+}
+
+// Convert ASS/SSA "Dialogue:" events to plain WebVTT cues (styling is dropped)
+function assToVtt(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+  let inEvents = false;
+  const cues = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('[')) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (/^format:/i.test(trimmed)) {
+      format = trimmed.slice(7).split(',').map(f => f.trim().toLowerCase());
+    } else if (/^dialogue:/i.test(trimmed)) {
+      // Text is the last field and may itself contain commas
+      const parts = trimmed.slice(9).split(',');
+      const fields = parts.slice(0, format.length - 1).map(f => f.trim());
+      fields.push(parts.slice(format.length - 1).join(','));
+
+      const get = (name) => fields[format.indexOf(name)];
+      const start = get('start');
+      const end = get('end');
+      const cueText = (get('text') || '')
+        .replace(/\{[^}]*\}/g, '')
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .trim();
+
+      const toVtt = (time) => {
+        const m = /^(\d+):(\d{2}):(\d{2})(?:\.(\d+))?$/.exec(time || '');
+        return m ? formatVttTime(m[1], m[2], m[3], m[4] && m[4].padEnd(2, '0') + '0') : null;
+      };
+
+      const startTime = toVtt(start);
+      const endTime = toVtt(end);
+      if (startTime && endTime && cueText) {
+        cues.push({ start: startTime, end: endTime, text: cueText });
+      }
+    }
+  }
+
+  cues.sort((a, b) => a.start.localeCompare(b.start));
+  return 'WEBVTT\n\n' + cues.map(c => `${c.start} --> ${c.end}\n${c.text}`).join('\n\n') + '\n';
+}
+
+// Convert decoded subtitle text to WebVTT based on its extension
+function toVtt(text, ext) {
+  switch (ext.toLowerCase()) {
+    case '.vtt':
+      return normalizeVtt(text);
+    case '.ass':
+    case '.ssa':
+      return assToVtt(text);
+    default:
+      return srtToVtt(text);
+  }
+}
+
+// Extract an embedded subtitle stream as WebVTT with ffmpeg.
+// Subtitles are interleaved with the video, so this reads the whole file.
+// ffmpeg is killed after `timeoutMs`, or when `signal` aborts (the promise
+// then rejects with an AbortError).
+function extractEmbeddedSubtitle(ffmpegPath, inputUrl, streamIndex, { timeoutMs = 5 * 60 * 1000, signal } = {}) {
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-i', inputUrl,
+    '-map', `0:${streamIndex}`,
+    '-f', 'webvtt',
+    'pipe:1'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'], signal, killSignal: 'SIGKILL' });
+    const chunks = [];
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ffmpeg.kill('SIGKILL');
+    }, timeoutMs);
+
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    ffmpeg.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        return reject(new Error(`ffmpeg timed out after ${Math.round(timeoutMs / 1000)}s`));
+      }
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+      resolve(Buffer.concat(chunks).toString('utf-8'));
+    });
+  });
+}
+
+export {
+  SUBTITLE_EXTENSIONS,
+  isSubtitleFile,
+  guessLanguage,
+  findSidecarSubtitles,
+  getEmbeddedSubtitleStreams,
+  decodeSubtitle,
+  toVtt,
+  extractEmbeddedSubtitle
+};
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { collectStderr } from './ffmpeg.js';
+
+// Seek-preview thumbnails: single frames grabbed with ffmpeg as raw RGB
+// tiles, packed into one JPEG sprite with a WebVTT track pointing into it
+// (the format Plyr's previewThumbnails reads).
+
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+
+// Long files get fewer, more widely spaced thumbnails than `interval` asks for
+const MAX_THUMBNAILS = 200;
+
+// Bytes in one raw rgb24 tile
+const TILE_BYTES = THUMBNAIL_WIDTH * THUMBNAIL_HEIGHT * 3;
+
+// Thumbnail spacing and count for a file, and the sprite grid they fill
+function getThumbnailLayout(duration, interval) {
+  const spacing = Math.max(interval, duration / MAX_THUMBNAILS);
+  const count = Math.max(1, Math.ceil(duration / spacing));
+  return {
+    interval: spacing,
+    count,
+    columns: Math.min(count, SPRITE_COLUMNS),
+    rows: Math.ceil(count / SPRITE_COLUMNS)
+  };
+}
+
+// Time the frame for thumbnail `index` is taken from: the middle of its slot
+function getThumbnailTime(layout, index, duration) {
+  return Math.min((index + 0.5) * layout.interval, Math.max(0, duration - 0.5));
+}
+
+// Run ffmpeg with `input` on stdin (or nothing), collecting stdout
+function runFfmpeg(ffmpegPath, args, input = null, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, args, { stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+    const getStderr = collectStderr(ffmpeg);
+    const chunks = [];
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), timeoutMs);
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg exited with code ${code}: ${getStderr()}`));
+      }
+      resolve(Buffer.concat(chunks));
+    });
+
+    if (input) {
+      ffmpeg.stdin.on('error', () => {}); // ffmpeg quitting early surfaces through 'close'
+      ffmpeg.stdin.end(input);
+    }
+  });
+}
+
+// Grab the keyframe at or before `time` as one raw tile, letterboxed to the
+// thumbnail size. Only reads from around that keyframe (plus the headers).
+async function extractThumbnail(ffmpegPath, inputPath, time) {
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-noaccurate_seek',
+    '-ss', String(time),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-an', '-sn',
+    '-vf', `scale=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:force_original_aspect_ratio=decrease,` +
+      `pad=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+    '-pix_fmt', 'rgb24',
+    '-f', 'rawvideo',
+    'pipe:1'
+  ];
+
+  const tile = await runFfmpeg(ffmpegPath, args);
+  if (tile.length !== TILE_BYTES) {
+    throw new Error(`no frame at ${time.toFixed(1)}s`);
+  }
+  return tile;
+}
+
+// Pack tiles (Map of index -> Buffer) into the sprite grid and write it as a JPEG.
+// Missing tiles stay black; the VTT track doesn't point at them.
+async function writeSprite(ffmpegPath, layout, tiles, outputPath) {
+  const width = layout.columns * THUMBNAIL_WIDTH;
+  const height = layout.rows * THUMBNAIL_HEIGHT;
+  const canvas = Buffer.alloc(width * height * 3);
+  const rowBytes = THUMBNAIL_WIDTH * 3;
+
+  for (const [index, tile] of tiles) {
+    const left = (index % layout.columns) * THUMBNAIL_WIDTH;
+    const top = Math.floor(index / layout.columns) * THUMBNAIL_HEIGHT;
+    for (let y = 0; y < THUMBNAIL_HEIGHT; y++) {
+      tile.copy(canvas, ((top + y) * width + left) * 3, y * rowBytes, (y + 1) * rowBytes);
+    }
+  }
+
+  const jpeg = await runFfmpeg(ffmpegPath, [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-f', 'rawvideo',
+    '-pix_fmt', 'rgb24',
+    '-s', `${width}x${height}`,
+    '-i', 'pipe:0',
+    '-frames:v', '1',
+    '-q:v', '5',
+    '-f', 'mjpeg',
+    'pipe:1'
+  ], canvas);
+
+  // Replace the old sprite in one step so it's never served half-written
+  const tempPath = `${outputPath}.tmp`;
+  await fs.promises.writeFile(tempPath, jpeg);
+  await fs.promises.rename(tempPath, outputPath);
+}
+
+// WebVTT timestamp: HH:MM:SS.mmm
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// Thumbnails track: one cue per generated thumbnail, pointing at its tile
+// in the sprite with a #xywh fragment
+function buildThumbnailsVtt(layout, indices, duration, spriteUrl) {
+  const lines = ['WEBVTT', ''];
+  for (const index of [...indices].sort((a, b) => a - b)) {
+    const start = index * layout.interval;
+    const end = Math.min((index + 1) * layout.interval, duration);
+    const x = (index % layout.columns) * THUMBNAIL_WIDTH;
+    const y = Math.floor(index / layout.columns) * THUMBNAIL_HEIGHT;
+    lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    lines.push(`${spriteUrl}#xywh=${x},${y},${THUMBNAIL_WIDTH},${THUMBNAIL_HEIGHT}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export {
+  getThumbnailLayout,
+  getThumbnailTime,
+  extractThumbnail,
+  writeSprite,
+  buildThumbnailsVtt
+};
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import Client from 'bittorrent-tracker';
+
+// Announce URL schemes WebTorrent can talk to
+const TRACKER_PROTOCOLS = ['udp:', 'http:', 'https:', 'ws:', 'wss:'];
+
+// Give up on a remote list or scrape after this long (ms)
+const REQUEST_TIMEOUT = 15000;
+
+// Trackers report their announce URL without a trailing slash
+function normalizeTrackerUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+function isTrackerUrl(value) {
+  try {
+    return TRACKER_PROTOCOLS.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Tracker URLs in a list, one per line; empty lines and # comments are ignored
+function parseTrackerList(text) {
+  const trackers = new Set();
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('-')) {
+      trackers.add(normalizeTrackerUrl(trimmed));
+    }
+  }
+  return Array.from(trackers);
+}
+
+// Trackers excluded with "-<url>" lines, so removing one that comes from a remote list sticks
+function parseExcludedTrackers(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('-'))
+    .map(line => normalizeTrackerUrl(line.slice(1)));
+}
+
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8').split('\n');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// { trackers, excluded } from the local trackers file (empty if it doesn't exist)
+function readTrackersFile(filePath) {
+  const text = readLines(filePath).join('\n');
+  return { trackers: parseTrackerList(text), excluded: parseExcludedTrackers(text) };
+}
+
+// Drop any lines for `url` from the trackers file and append `line` if given,
+// keeping comments and the order of everything else
+function writeTrackerLine(filePath, url, line) {
+  const lines = readLines(filePath).filter((existing) => {
+    const trimmed = existing.trim();
+    const value = trimmed.startsWith('-') ? trimmed.slice(1) : trimmed;
+    return trimmed.startsWith('#') || !value || normalizeTrackerUrl(value) !== url;
+  });
+
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+  if (line) lines.push(line);
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+function addToTrackersFile(filePath, url) {
+  writeTrackerLine(filePath, normalizeTrackerUrl(url), normalizeTrackerUrl(url));
+}
+
+// Drop a tracker from the file; `exclude` also blocks it from remote lists
+function removeFromTrackersFile(filePath, url, { exclude = false } = {}) {
+  writeTrackerLine(filePath, normalizeTrackerUrl(url), exclude ? `-${normalizeTrackerUrl(url)}` : null);
+}
+
+// Download a remote tracker list
+async function fetchTrackerList(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return parseTrackerList(await response.text());
+}
+
+// Ask one tracker for swarm counts of some torrents.
+// Resolves to { [infoHash]: { complete, incomplete, downloaded } }.
+function scrapeTracker(announce, infoHashes) {
+  return new Promise((resolve, reject) => {
+    let scraper;
+    const timer = setTimeout(() => {
+      if (scraper) scraper.destroy();
+      reject(new Error('scrape timed out'));
+    }, REQUEST_TIMEOUT);
+
+    try {
+      scraper = Client.scrape({ announce, infoHash: infoHashes }, (err, data) => {
+        clearTimeout(timer);
+        if (err) return reject(err);
+        // A single torrent comes back unwrapped
+        resolve(infoHashes.length === 1 ? { [infoHashes[0]]: data } : data);
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+  });
+}
+
+export {
+  normalizeTrackerUrl,
+  isTrackerUrl,
+  parseTrackerList,
+  readTrackersFile,
+  addToTrackersFile,
+  removeFromTrackersFile,
+  fetchTrackerList,
+  scrapeTracker
+};
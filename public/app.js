@@ -1,20 +1,62 @@
 // DOM Elements
 const magnetInput = document.getElementById('magnetInput');
 const addBtn = document.getElementById('addBtn');
+const inputSection = document.getElementById('inputSection');
+const torrentFileInput = document.getElementById('torrentFileInput');
 const loadTrackersBtn = document.getElementById('loadTrackersBtn');
 const trackerCount = document.getElementById('trackerCount');
+const torrentSection = document.getElementById('torrentSection');
+const torrentList = document.getElementById('torrentList');
+const librarySection = document.getElementById('librarySection');
+const mediaSection = document.getElementById('mediaSection');
+const mediaList = document.getElementById('mediaList');
+const keepAllBtn = document.getElementById('keepAllBtn');
+const libraryList = document.getElementById('libraryList');
 const playerSection = document.getElementById('playerSection');
 const videoPlayer = document.getElementById('videoPlayer');
 const vlcLink = document.getElementById('vlcLink');
 const rawLink = document.getElementById('rawLink');
+const playlistLink = document.getElementById('playlistLink');
+const logoutBtn = document.getElementById('logoutBtn');
 const copyLinkBtn = document.getElementById('copyLinkBtn');
+const hlsToggleBtn = document.getElementById('hlsToggleBtn');
+const autoplayToggleBtn = document.getElementById('autoplayToggleBtn');
+const prevFileBtn = document.getElementById('prevFileBtn');
+const nextFileBtn = document.getElementById('nextFileBtn');
+const subtitleFileInput = document.getElementById('subtitleFileInput');
+const embeddedSubtitleSelect = document.getElementById('embeddedSubtitleSelect');
+const subtitleOffsetLabel = document.getElementById('subtitleOffsetLabel');
+const resumePrompt = document.getElementById('resumePrompt');
+const resumeBtn = document.getElementById('resumeBtn');
+const resumeDismissBtn = document.getElementById('resumeDismissBtn');
+const bufferingNotice = document.getElementById('bufferingNotice');
 const fileSection = document.getElementById('fileSection');
 const fileList = document.getElementById('fileList');
 const deleteBtn = document.getElementById('deleteBtn');
+const keepDataCheckbox = document.getElementById('keepDataCheckbox');
 const statsSection = document.getElementById('statsSection');
 const downloadSpeedEl = document.getElementById('downloadSpeed');
 const peersEl = document.getElementById('peers');
 const progressEl = document.getElementById('progress');
+const diskUsageEl = document.getElementById('diskUsage');
+const peersPanel = document.getElementById('peersPanel');
+const peerTableBody = document.getElementById('peerTableBody');
+const limitsPanel = document.getElementById('limitsPanel');
+const downloadLimitInput = document.getElementById('downloadLimitInput');
+const uploadLimitInput = document.getElementById('uploadLimitInput');
+const scheduleList = document.getElementById('scheduleList');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+const seedBoostCheckbox = document.getElementById('seedBoostCheckbox');
+const seedBoostLimitInput = document.getElementById('seedBoostLimitInput');
+const seedBoostMinutesInput = document.getElementById('seedBoostMinutesInput');
+const saveLimitsBtn = document.getElementById('saveLimitsBtn');
+const effectiveLimitsEl = document.getElementById('effectiveLimits');
+const trackersPanel = document.getElementById('trackersPanel');
+const trackerScope = document.getElementById('trackerScope');
+const trackerInput = document.getElementById('trackerInput');
+const addTrackerBtn = document.getElementById('addTrackerBtn');
+const trackerListsEl = document.getElementById('trackerLists');
+const trackerTableBody = document.getElementById('trackerTableBody');
 const bufferFill = document.getElementById('bufferFill');
 const loadingOverlay = document.getElementById('loadingOverlay');
 const loadingText = document.getElementById('loadingText');
@@ -25,11 +67,78 @@ const pieceMapCtx = pieceMapCanvas.getContext('2d');
 // Video file extensions
 const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm', '.mov', '.wmv', '.flv', '.m4v'];
 
+// Download priorities in the order the priority button cycles through them
+const FILE_PRIORITIES = ['low', 'normal', 'high'];
+const PRIORITY_LABELS = { low: '⬇ Low', normal: 'Normal', high: '⬆ High' };
+
+// File list labels for each keep state
+const KEEP_LABELS = { pending: '⏳ Keeping', moving: '⏳ Moving', kept: '📦 Kept', error: '⚠ Keep failed' };
+
+// Start playing after this long (ms) even if the startup buffer isn't full
+const STARTUP_BUFFER_MAX_WAIT = 30000;
+
+// How often the peer table refreshes while it's open (ms)
+const PEERS_REFRESH_INTERVAL = 2000;
+
+// Playlist order, same as the server's: numbers in paths compare by value
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Subtitle file extensions the server converts to WebVTT
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// MIME types matching the server's stream Content-Type
+const VIDEO_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.m4v': 'video/x-m4v'
+};
+
 // State
+let currentInfoHash = null;
 let currentFileIndex = null;
+let currentFiles = [];
 let statusInterval = null;
+let events = null;
 let player = null;
 let lastReportedTime = 0;
+let serverFeatures = { ffmpeg: false, ffprobe: false };
+let hls = null;
+
+// Signed stream/HLS links for external players, for the playing file
+let externalLinks = null;
+let hlsMode = localStorage.getItem('hlsMode') === 'on';
+let autoplayNext = localStorage.getItem('autoplayNext') !== 'off';
+
+// Remuxed playback: the stream restarts at `offset` seconds on every seek
+let remux = { active: false, offset: 0, duration: null };
+
+// Version of the server's seek-preview thumbnails shown for the current file (0 = none)
+let thumbnailsVersion = 0;
+
+// Piece map of the file the server is prioritizing; `start` is its first piece index
+let pieceMap = { fileIndex: null, start: 0, pieces: [] };
+let pieceMapSyncing = false;
+
+// Saved position offered by the resume prompt, and the timer that hides it
+let resumeTime = null;
+let resumePromptTimeout = null;
+
+// Subtitle timing offset in ms for the current file, and each cue's original times
+let subtitleOffset = 0;
+let originalCueTimes = new WeakMap();
+let peersInterval = null;
+let startupBuffer = 0;
+let startupWait = null;
+let lastPeers = [];
+let peerSort = { key: 'downloadSpeed', descending: true };
+
+// Embedded tracks offered in the picker for the current file (id -> subtitle)
+let embeddedSubtitles = new Map();
 
 // Initialize Plyr
 function initPlyr() {
@@ -44,8 +153,12 @@ function initPlyr() {
       'duration',
       'mute',
       'volume',
+      'captions',
+      'settings',
       'fullscreen'
     ],
+    settings: ['captions'],
+    captions: { active: true, update: true, language: 'auto' },
     keyboard: { focused: true, global: true },
     tooltips: { controls: false, seek: true },
     seekTime: 10
@@ -54,24 +167,55 @@ function initPlyr() {
   // Track playback position for piece prioritization
   player.on('timeupdate', () => {
     updatePlaybackMarker();
-    if (currentFileIndex !== null && Math.abs(player.currentTime - lastReportedTime) > 5) {
-      lastReportedTime = player.currentTime;
-      updatePlaybackPosition(currentFileIndex, player.currentTime, player.duration);
+    const time = getPlaybackTime();
+    if (currentFileIndex !== null && Math.abs(time - lastReportedTime) > 5) {
+      lastReportedTime = time;
+      updatePlaybackPosition(currentFileIndex, time, getPlaybackDuration());
     }
   });
 
   // Report position immediately when seeking
   player.on('seeking', () => {
-    if (currentFileIndex !== null) {
-      lastReportedTime = player.currentTime;
-      updatePlaybackPosition(currentFileIndex, player.currentTime, player.duration);
+    if (currentFileIndex === null) return;
+
+    // A remuxed stream can't seek past what it has buffered - restart it there
+    if (remux.active && !isBuffered(player.currentTime)) {
+      seekTo(remux.offset + player.currentTime);
+      return;
     }
+
+    lastReportedTime = getPlaybackTime();
+    updatePlaybackPosition(currentFileIndex, lastReportedTime, getPlaybackDuration());
   });
 
   // Report initial position
   player.on('loadedmetadata', () => {
     if (currentFileIndex !== null) {
-      updatePlaybackPosition(currentFileIndex, 0, player.duration);
+      updatePlaybackPosition(currentFileIndex, getPlaybackTime(), getPlaybackDuration());
+    }
+  });
+
+  // Playing by hand skips the rest of the startup buffer
+  player.on('play', () => {
+    if (startupWait) {
+      startupWait = null;
+      hideBufferingNotice();
+    }
+  });
+
+  // Binge mode: go on to the next file in the playlist
+  player.on('ended', () => {
+    const next = getAdjacentFile(1);
+    if (autoplayNext && next !== null) {
+      playFile(next);
+    }
+  });
+
+  // Fall back to remuxing when the browser can't decode the native file
+  player.on('error', () => {
+    if (currentFileIndex !== null && !remux.active && !hls && serverFeatures.ffmpeg) {
+      console.log('Native playback failed, switching to remuxed MP4');
+      playFile(currentFileIndex, { remux: true, startTime: getPlaybackTime() });
     }
   });
 }
@@ -93,13 +237,206 @@ function formatTime(seconds) {
   return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
 }
 
+function getExtension(filename) {
+  return filename.toLowerCase().substring(filename.lastIndexOf('.'));
+}
+
 function isVideoFile(filename) {
-  const ext = filename.toLowerCase().substring(filename.lastIndexOf('.'));
-  return VIDEO_EXTENSIONS.includes(ext);
+  return VIDEO_EXTENSIONS.includes(getExtension(filename));
+}
+
+function isSubtitleFile(filename) {
+  return SUBTITLE_EXTENSIONS.includes(getExtension(filename));
 }
 
 function getStreamUrl(fileIndex) {
-  return `${window.location.origin}/stream/${fileIndex}`;
+  return `${window.location.origin}/stream/${currentInfoHash}/${fileIndex}`;
+}
+
+function getRemuxUrl(fileIndex, startTime = 0) {
+  return `${getStreamUrl(fileIndex)}/mp4?t=${startTime.toFixed(3)}`;
+}
+
+// Whether the browser reports it can play this file's container natively
+function canPlayNatively(filename) {
+  const mimeType = VIDEO_MIME_TYPES[getExtension(filename)];
+  return Boolean(mimeType && videoPlayer.canPlayType(mimeType));
+}
+
+function getHlsUrl(fileIndex) {
+  return `${window.location.origin}/hls/${currentInfoHash}/${fileIndex}/index.m3u8`;
+}
+
+function hasNativeHls() {
+  return Boolean(videoPlayer.canPlayType('application/vnd.apple.mpegurl'));
+}
+
+// HLS needs ffmpeg + ffprobe on the server and native HLS or hls.js here
+function canUseHls() {
+  return serverFeatures.ffmpeg && serverFeatures.ffprobe &&
+    (hasNativeHls() || Boolean(window.Hls && Hls.isSupported()));
+}
+
+// Load an HLS playlist natively (Safari, TVs) or through hls.js
+function loadHls(url, startTime = 0) {
+  player.source = {
+    type: 'video',
+    sources: [{ src: url, type: 'application/x-mpegURL' }]
+  };
+
+  if (!hasNativeHls()) {
+    // Plyr recreates the <video> element on source change, so attach to the new one
+    hls = new Hls({ startPosition: startTime });
+    hls.loadSource(url);
+    hls.attachMedia(player.media);
+  } else if (startTime > 0) {
+    player.once('loadedmetadata', () => {
+      player.currentTime = startTime;
+    });
+  }
+}
+
+function destroyHls() {
+  if (hls) {
+    hls.destroy();
+    hls = null;
+  }
+}
+
+function updateHlsToggle() {
+  hlsToggleBtn.textContent = `📡 HLS: ${hlsMode ? 'On' : 'Off'}`;
+  hlsToggleBtn.classList.toggle('active', hlsMode);
+  hlsToggleBtn.classList.toggle('hidden', !canUseHls());
+}
+
+function updateAutoplayToggle() {
+  autoplayToggleBtn.textContent = `⏭ Autoplay: ${autoplayNext ? 'On' : 'Off'}`;
+  autoplayToggleBtn.classList.toggle('active', autoplayNext);
+}
+
+// Video files of the current torrent by path, so episodes come in order
+function getPlaylist() {
+  return currentFiles
+    .map((file, index) => ({ path: file.path || file.name, index }))
+    .filter(item => isVideoFile(item.path))
+    .sort((a, b) => naturalCollator.compare(a.path, b.path))
+    .map(item => item.index);
+}
+
+// File index before (-1) or after (1) the playing one in the playlist, or null
+function getAdjacentFile(step) {
+  if (currentFileIndex === null) return null;
+  const playlist = getPlaylist();
+  const position = playlist.indexOf(currentFileIndex);
+  if (position === -1) return null;
+  const index = playlist[position + step];
+  return index === undefined ? null : index;
+}
+
+function updatePlaylistButtons() {
+  const single = getPlaylist().length < 2;
+  prevFileBtn.classList.toggle('hidden', single);
+  nextFileBtn.classList.toggle('hidden', single);
+  prevFileBtn.disabled = getAdjacentFile(-1) === null;
+  nextFileBtn.disabled = getAdjacentFile(1) === null;
+}
+
+// Playback time/duration within the whole file, accounting for remux offset
+function getPlaybackTime() {
+  if (!player) return 0;
+  return remux.active ? remux.offset + player.currentTime : player.currentTime;
+}
+
+function getPlaybackDuration() {
+  if (!player) return 0;
+  if (remux.active) return remux.duration || 0;
+  return player.duration;
+}
+
+function isBuffered(time) {
+  const buffered = player.media.buffered;
+  for (let i = 0; i < buffered.length; i++) {
+    if (time >= buffered.start(i) && time <= buffered.end(i)) return true;
+  }
+  return false;
+}
+
+// Seek within the file, restarting the remuxed stream if needed
+function seekTo(time) {
+  if (!player) return;
+  const duration = getPlaybackDuration();
+  time = Math.max(0, duration ? Math.min(duration, time) : time);
+
+  if (remux.active) {
+    const wasPlaying = player.playing;
+    remux.offset = time;
+    player.source = {
+      type: 'video',
+      sources: [{ src: getRemuxUrl(currentFileIndex, time), type: 'video/mp4' }]
+    };
+    loadSubtitles(currentFileIndex);
+    lastReportedTime = time;
+    updatePlaybackPosition(currentFileIndex, time, duration);
+    if (wasPlaying) {
+      player.play().catch(err => console.log('Autoplay prevented:', err));
+    }
+  } else {
+    player.currentTime = time;
+  }
+}
+
+// Hold playback until `startupBuffer` seconds past the position are downloaded.
+// updateStats() checks on every status update.
+function playWhenBuffered(fileIndex) {
+  if (startupBuffer <= 0) {
+    player.play().catch(err => console.log('Autoplay prevented:', err));
+    return;
+  }
+  startupWait = { fileIndex, startedAt: Date.now() };
+  showBufferingNotice('Buffering…');
+}
+
+function checkStartupBuffer(status, secondsBuffered, file) {
+  if (!startupWait || startupWait.fileIndex !== currentFileIndex) return;
+
+  // The server's buffer figure is for the file it last heard a position for
+  const sameFile = status.currentPosition && status.currentPosition.fileIndex === currentFileIndex;
+  const buffered = sameFile && secondsBuffered !== null ? secondsBuffered : 0;
+  const ready = (file && file.progress >= 1) || buffered >= startupBuffer ||
+    Date.now() - startupWait.startedAt > STARTUP_BUFFER_MAX_WAIT;
+
+  if (ready) {
+    startupWait = null;
+    hideBufferingNotice();
+    player.play().catch(err => console.log('Autoplay prevented:', err));
+  } else {
+    showBufferingNotice(`Buffering ${Math.floor(buffered)}s / ${startupBuffer}s`);
+  }
+}
+
+function showBufferingNotice(text, stalled = false) {
+  bufferingNotice.textContent = text;
+  bufferingNotice.classList.toggle('stalled', stalled);
+  bufferingNotice.classList.remove('hidden');
+}
+
+function hideBufferingNotice() {
+  bufferingNotice.classList.add('hidden');
+}
+
+// Offer to jump to a saved position without holding up playback
+function showResumePrompt(time) {
+  resumeTime = time;
+  resumeBtn.textContent = `▶ Resume from ${formatTime(time)}`;
+  resumePrompt.classList.remove('hidden');
+  clearTimeout(resumePromptTimeout);
+  resumePromptTimeout = setTimeout(hideResumePrompt, 15000);
+}
+
+function hideResumePrompt() {
+  resumeTime = null;
+  clearTimeout(resumePromptTimeout);
+  resumePrompt.classList.add('hidden');
 }
 
 function showLoading(text = 'Loading...') {
@@ -150,10 +487,37 @@ function renderPieceMap(pieceMap) {
   });
 }
 
+// Mark pieces reported by /api/events as downloaded and redraw
+function applyVerifiedPieces(indices) {
+  let changed = false;
+  indices.forEach(index => {
+    const i = index - pieceMap.start;
+    if (i >= 0 && i < pieceMap.pieces.length && !pieceMap.pieces[i]) {
+      pieceMap.pieces[i] = true;
+      changed = true;
+    }
+  });
+  if (changed) {
+    renderPieceMap(pieceMap.pieces);
+  }
+}
+
+// Fetch the full piece map once when the server starts mapping another file
+async function resyncPieceMap() {
+  if (pieceMapSyncing) return;
+  pieceMapSyncing = true;
+  const status = await fetchStatus();
+  pieceMapSyncing = false;
+  if (status && status.active) {
+    updateStats(status);
+  }
+}
+
 // Update playback marker position
 function updatePlaybackMarker() {
-  if (!player || !player.duration) return;
-  const percent = (player.currentTime / player.duration) * 100;
+  const duration = getPlaybackDuration();
+  if (!player || !duration) return;
+  const percent = (getPlaybackTime() / duration) * 100;
   playbackMarker.style.left = `${percent}%`;
 }
 
@@ -163,21 +527,66 @@ function setupPieceMapClick() {
   pieceMapContainer.style.cursor = 'pointer';
 
   pieceMapContainer.addEventListener('click', (e) => {
-    if (!player || !player.duration) return;
+    const duration = getPlaybackDuration();
+    if (!player || !duration) return;
 
     const rect = pieceMapContainer.getBoundingClientRect();
     const clickX = e.clientX - rect.left;
     const percent = clickX / rect.width;
-    const newTime = percent * player.duration;
 
-    player.currentTime = newTime;
+    seekTo(percent * duration);
   });
 }
 
 // API Functions
+
+// fetch() that sends the user to the login page when the session has expired
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    window.location.href = '/login.html';
+  }
+  return res;
+}
+
+async function fetchAuthStatus() {
+  try {
+    const res = await apiFetch('/api/auth');
+    return await res.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function logout() {
+  await apiFetch('/api/logout', { method: 'POST' });
+}
+
+async function fetchLinks(fileIndex) {
+  try {
+    const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}/links`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function fetchServerStatus() {
+  try {
+    const res = await apiFetch('/api/status');
+    return await res.json();
+  } catch (err) {
+    console.error('Error fetching server status:', err);
+    return null;
+  }
+}
+
 async function fetchStatus() {
+  if (!currentInfoHash) return null;
   try {
-    const res = await fetch('/api/status');
+    const res = await apiFetch(`/api/torrents/${currentInfoHash}/status`);
+    if (!res.ok) return null;
     return await res.json();
   } catch (err) {
     console.error('Error fetching status:', err);
@@ -185,8 +594,50 @@ async function fetchStatus() {
   }
 }
 
+async function fetchConfig() {
+  try {
+    const res = await apiFetch('/api/config');
+    return await res.json();
+  } catch (err) {
+    console.error('Error fetching config:', err);
+    return null;
+  }
+}
+
+async function fetchLibrary() {
+  try {
+    const res = await apiFetch('/api/library');
+    const data = await res.json();
+    return data.torrents || [];
+  } catch (err) {
+    console.error('Error fetching library:', err);
+    return [];
+  }
+}
+
+async function addFromLibrary(infoHash) {
+  const res = await apiFetch(`/api/library/${infoHash}/add`, { method: 'POST' });
+  return await res.json();
+}
+
+async function removeFromLibrary(infoHash) {
+  const res = await apiFetch(`/api/library/${infoHash}`, { method: 'DELETE' });
+  return await res.json();
+}
+
+async function fetchTorrents() {
+  try {
+    const res = await apiFetch('/api/torrents');
+    const data = await res.json();
+    return data.torrents || [];
+  } catch (err) {
+    console.error('Error fetching torrents:', err);
+    return [];
+  }
+}
+
 async function addTorrent(magnetOrHash) {
-  const res = await fetch('/api/torrent', {
+  const res = await apiFetch('/api/torrents', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ magnetOrHash })
@@ -194,22 +645,144 @@ async function addTorrent(magnetOrHash) {
   return await res.json();
 }
 
-async function deleteTorrent() {
-  const res = await fetch('/api/torrent', { method: 'DELETE' });
+async function uploadTorrentFile(file) {
+  const formData = new FormData();
+  formData.append('torrent', file);
+  const res = await apiFetch('/api/torrents/upload', {
+    method: 'POST',
+    body: formData
+  });
+  return await res.json();
+}
+
+async function fetchSubtitles(fileIndex) {
+  try {
+    const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}/subtitles`);
+    if (!res.ok) return [];
+    const data = await res.json();
+    return data.subtitles || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+async function uploadSubtitleFile(fileIndex, file) {
+  const formData = new FormData();
+  formData.append('subtitle', file);
+  const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}/subtitles`, {
+    method: 'POST',
+    body: formData
+  });
+  return await res.json();
+}
+
+async function fetchProbe(fileIndex) {
+  try {
+    const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}/probe`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function deleteTorrent(infoHash, keepData) {
+  const res = await apiFetch(`/api/torrents/${infoHash}?keepData=${keepData}`, { method: 'DELETE' });
+  return await res.json();
+}
+
+async function updateFileSelection(fileIndex, changes) {
+  const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  return await res.json();
+}
+
+async function keepFile(fileIndex) {
+  const res = await apiFetch(`/api/torrents/${currentInfoHash}/files/${fileIndex}/keep`, { method: 'POST' });
+  return await res.json();
+}
+
+async function keepAllFiles() {
+  const res = await apiFetch(`/api/torrents/${currentInfoHash}/keep`, { method: 'POST' });
+  return await res.json();
+}
+
+async function fetchMedia() {
+  try {
+    const res = await apiFetch('/api/media');
+    const data = await res.json();
+    return data.items || [];
+  } catch (err) {
+    console.error('Error fetching kept files:', err);
+    return [];
+  }
+}
+
+async function removeMedia(id, deleteFile) {
+  const res = await apiFetch(`/api/media/${id}?deleteFile=${deleteFile}`, { method: 'DELETE' });
+  return await res.json();
+}
+
+async function fetchLimits() {
+  const res = await apiFetch('/api/limits');
+  return await res.json();
+}
+
+async function saveLimits(settings) {
+  const res = await apiFetch('/api/limits', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(settings)
+  });
   return await res.json();
 }
 
 async function reloadTrackers() {
-  const res = await fetch('/api/trackers/reload', { method: 'POST' });
+  const res = await apiFetch('/api/trackers/reload', { method: 'POST' });
+  return await res.json();
+}
+
+async function fetchPeers() {
+  const res = await apiFetch(`/api/peers?infoHash=${currentInfoHash}`);
+  const data = await res.json();
+  return data.peers || [];
+}
+
+async function fetchTrackers(scope) {
+  const url = scope === 'torrent' && currentInfoHash ? `/api/torrents/${currentInfoHash}/trackers` : '/api/trackers';
+  const res = await apiFetch(url);
+  return await res.json();
+}
+
+async function addTracker(url) {
+  const res = await apiFetch('/api/trackers', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url })
+  });
+  return await res.json();
+}
+
+async function removeTracker(url) {
+  const res = await apiFetch(`/api/trackers?url=${encodeURIComponent(url)}`, { method: 'DELETE' });
   return await res.json();
 }
 
 async function updatePlaybackPosition(fileIndex, currentTime, duration) {
+  if (!currentInfoHash) return;
   try {
-    await fetch('/api/playback-position', {
+    await apiFetch(`/api/torrents/${currentInfoHash}/playback-position`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ fileIndex, currentTime, duration })
+      // Unknown (NaN) or live (Infinity) durations are sent as 0
+      body: JSON.stringify({
+        fileIndex,
+        currentTime: currentTime || 0,
+        duration: Number.isFinite(duration) ? duration : 0
+      })
     });
   } catch (err) {
     // Silently fail - not critical
@@ -221,81 +794,432 @@ function updateTrackerCount(count) {
   trackerCount.textContent = `Trackers: ${count}`;
 }
 
-function renderFileList(files) {
-  fileList.innerHTML = '';
+function renderTorrentList(torrents) {
+  torrentList.innerHTML = '';
+  torrentSection.classList.toggle('hidden', torrents.length === 0);
 
-  files.forEach((file, index) => {
-    const isVideo = isVideoFile(file.name);
+  torrents.forEach(torrent => {
     const div = document.createElement('div');
-    div.className = `file-item ${isVideo ? 'video' : 'non-video'}`;
-    if (index === currentFileIndex) {
-      div.classList.add('playing');
+    div.className = 'torrent-item';
+    if (torrent.infoHash === currentInfoHash) {
+      div.classList.add('selected');
     }
 
+    const name = torrent.name || torrent.infoHash;
+    const meta = torrent.ready
+      ? `${(torrent.progress * 100).toFixed(1)}% · ${torrent.numPeers} peers`
+      : 'Fetching metadata...';
+
     div.innerHTML = `
-            <span class="file-name">${file.name}</span>
-            <span class="file-size">${formatBytes(file.length)}</span>
-            ${index === currentFileIndex ? '<span class="file-status">▶ Playing</span>' : ''}
+            <span class="torrent-name"></span>
+            <span class="torrent-meta">${meta}</span>
         `;
+    // Torrent names come from whoever made the torrent
+    div.querySelector('.torrent-name').textContent = name;
 
-    if (isVideo) {
-      div.addEventListener('click', () => playFile(index));
-    }
+    div.addEventListener('click', () => selectTorrent(torrent.infoHash));
 
-    fileList.appendChild(div);
+    torrentList.appendChild(div);
   });
 }
 
-function playFile(fileIndex) {
-  currentFileIndex = fileIndex;
-  const streamUrl = getStreamUrl(fileIndex);
+// Previously added torrents that aren't active right now
+function renderLibrary(items) {
+  const inactive = items.filter(item => !item.active);
+  libraryList.innerHTML = '';
+  librarySection.classList.toggle('hidden', inactive.length === 0);
 
-  // Update Plyr source
-  player.source = {
-    type: 'video',
-    sources: [{ src: streamUrl, type: 'video/mp4' }]
-  };
+  inactive.forEach(item => {
+    const div = document.createElement('div');
+    div.className = 'torrent-item';
 
-  // Update external links
-  vlcLink.href = `vlc://${streamUrl}`;
-  rawLink.href = streamUrl;
+    const meta = [formatBytes(item.length), item.dataKept ? 'data kept' : null]
+      .filter(Boolean)
+      .join(' · ');
 
-  // Show player section
-  playerSection.classList.remove('hidden');
+    div.innerHTML = `
+            <span class="torrent-name"></span>
+            <span class="torrent-meta">${meta}</span>
+            <button class="library-remove-btn" title="Remove from recent">×</button>
+        `;
+    div.querySelector('.torrent-name').textContent = item.name || item.infoHash;
+
+    div.addEventListener('click', async () => {
+      const added = await handleAddTorrent(() => addFromLibrary(item.infoHash), 'Loading torrent...');
+      if (added) {
+        renderLibrary(await fetchLibrary());
+      }
+    });
 
-  // Start playback
-  player.play().catch(err => console.log('Autoplay prevented:', err));
+    div.querySelector('.library-remove-btn').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await removeFromLibrary(item.infoHash);
+      renderLibrary(await fetchLibrary());
+    });
 
-  // Re-render file list to show playing status
-  fetchStatus().then(status => {
-    if (status && status.files) {
-      renderFileList(status.files);
-    }
+    libraryList.appendChild(div);
   });
 }
 
-function updateStats(status) {
-  if (!status || !status.active) return;
+// Files kept in the media directory, playable after their torrent is gone
+function renderMedia(items) {
+  mediaList.innerHTML = '';
+  mediaSection.classList.toggle('hidden', items.length === 0);
 
-  downloadSpeedEl.textContent = `${formatBytes(status.downloadSpeed)}/s`;
-  peersEl.textContent = status.numPeers;
+  items.forEach(item => {
+    const div = document.createElement('div');
+    div.className = 'torrent-item';
+    div.title = item.path;
 
-  const downloaded = formatBytes(status.downloaded);
-  const total = formatBytes(status.total);
-  const percent = status.total > 0 ? ((status.downloaded / status.total) * 100).toFixed(1) : 0;
-  progressEl.textContent = `${downloaded} / ${total} (${percent}%)`;
+    div.innerHTML = `
+            <a class="torrent-name media-link" target="_blank"></a>
+            <span class="torrent-meta">${formatBytes(item.length)}</span>
+            <button class="library-remove-btn" title="Delete kept file">×</button>
+        `;
+    // File names come from the torrent
+    const link = div.querySelector('.media-link');
+    link.href = `/media/${encodeURIComponent(item.id)}`;
+    link.textContent = item.name;
+
+    div.querySelector('.library-remove-btn').addEventListener('click', async () => {
+      if (!confirm(`Delete ${item.name} from the media folder?`)) return;
+      await removeMedia(item.id, true);
+      renderMedia(await fetchMedia());
+    });
+
+    mediaList.appendChild(div);
+  });
+}
+
+// Watched check or partial progress bar for a file's saved progress
+function renderWatchMarker(watch) {
+  if (!watch) return '';
+  if (watch.watched && !watch.resumeAt) {
+    return '<span class="watch-marker watched" title="Watched">✓</span>';
+  }
+  const percent = Math.min(100, (watch.position / watch.duration) * 100);
+  if (percent < 1) return '';
+  return `<span class="watch-marker partial" title="Watched to ${formatTime(watch.position)}">` +
+    `<span class="watch-marker-fill" style="width: ${percent.toFixed(0)}%"></span></span>`;
+}
+
+function renderFileList(files) {
+  currentFiles = files;
+  fileList.innerHTML = '';
+  updatePlaylistButtons();
+
+  files.forEach((file, index) => {
+    const isVideo = isVideoFile(file.name);
+    const isSubtitle = isSubtitleFile(file.name);
+    const div = document.createElement('div');
+    div.className = `file-item ${isVideo ? 'video' : isSubtitle ? 'subtitle' : 'non-video'}`;
+    if (index === currentFileIndex) {
+      div.classList.add('playing');
+    }
+
+    const downloaded = file.progress > 0 ? ` · ${Math.floor(file.progress * 100)}%` : '';
+    div.innerHTML = `
+            <input type="checkbox" class="file-select" title="Download this file" ${file.selected ? 'checked' : ''}>
+            <span class="file-name"></span>
+            ${isVideo ? renderWatchMarker(file.watch) : ''}
+            <span class="file-size">${formatBytes(file.length)}${downloaded}</span>
+            ${file.selected ? `<button class="file-priority-btn priority-${file.priority}" title="Download priority">${PRIORITY_LABELS[file.priority]}</button>` : ''}
+            ${file.keep
+              ? `<span class="file-keep keep-${file.keep.state}">${KEEP_LABELS[file.keep.state]}</span>`
+              : '<button class="file-keep-btn" title="Download fully and move to the media folder">📥</button>'}
+            ${index === currentFileIndex ? '<span class="file-status">▶ Playing</span>' : ''}
+        `;
+    // File names come from the torrent, and keep errors can quote its paths
+    div.querySelector('.file-name').textContent = file.name;
+    if (file.keep && file.keep.error) {
+      div.querySelector('.file-keep').title = file.keep.error;
+    }
+
+    // Selection controls shouldn't also play the file
+    const checkbox = div.querySelector('.file-select');
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', () => {
+      changeFileSelection(index, { selected: checkbox.checked });
+    });
+
+    const keepBtn = div.querySelector('.file-keep-btn');
+    if (keepBtn) {
+      keepBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const result = await keepFile(index);
+        if (result.error) {
+          alert('Error: ' + result.error);
+          return;
+        }
+        currentFiles[index] = result;
+        renderFileList(currentFiles);
+      });
+    }
+
+    const priorityBtn = div.querySelector('.file-priority-btn');
+    if (priorityBtn) {
+      priorityBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const next = FILE_PRIORITIES[(FILE_PRIORITIES.indexOf(file.priority) + 1) % FILE_PRIORITIES.length];
+        changeFileSelection(index, { priority: next });
+      });
+    }
+
+    if (isVideo) {
+      div.addEventListener('click', () => playFile(index));
+    } else if (isSubtitle) {
+      div.title = 'Use as subtitles for the playing video';
+      div.addEventListener('click', () => {
+        if (currentFileIndex === null) return;
+        addSubtitleTrack({
+          id: `s${index}`,
+          url: `/subtitles/${currentInfoHash}/s${index}.vtt`,
+          label: file.name,
+          language: null
+        }, true);
+      });
+    }
+
+    fileList.appendChild(div);
+  });
+}
+
+// Apply a selection/priority change and redraw that file's row
+async function changeFileSelection(fileIndex, changes) {
+  try {
+    const result = await updateFileSelection(fileIndex, changes);
+    if (result.error) {
+      alert('Error: ' + result.error);
+    } else {
+      currentFiles[fileIndex] = result;
+    }
+  } catch (err) {
+    alert('Error updating file: ' + err.message);
+  }
+  renderFileList(currentFiles);
+}
+
+// Attach a WebVTT track to the player (Plyr picks it up via captions.update)
+function addSubtitleTrack(subtitle, select = false) {
+  const media = player.media;
+  const existing = Array.from(media.querySelectorAll('track')).find(t => t.dataset.id === subtitle.id);
+  if (existing) {
+    if (select) selectSubtitleTrack(existing);
+    return existing;
+  }
+
+  const track = document.createElement('track');
+  track.kind = 'captions';
+  track.label = subtitle.label;
+  track.srclang = subtitle.language || 'und';
+  track.src = subtitle.url;
+  track.dataset.id = subtitle.id;
+  track.addEventListener('load', () => applySubtitleOffset(track.track));
+  media.appendChild(track);
+
+  if (select) selectSubtitleTrack(track);
+  return track;
+}
+
+function selectSubtitleTrack(track) {
+  const index = Array.from(player.media.textTracks).indexOf(track.track);
+  if (index !== -1) {
+    player.currentTrack = index;
+    player.toggleCaptions(true);
+  }
+}
+
+// Subtitle offsets are remembered per torrent file in localStorage
+function getSubtitleOffsetKey(fileIndex) {
+  return `subtitleOffset:${currentInfoHash}:${fileIndex}`;
+}
+
+function loadSubtitleOffset(fileIndex) {
+  subtitleOffset = parseInt(localStorage.getItem(getSubtitleOffsetKey(fileIndex)), 10) || 0;
+  updateSubtitleOffsetLabel();
+}
+
+function setSubtitleOffset(ms) {
+  subtitleOffset = ms;
+  if (currentFileIndex !== null) {
+    if (ms === 0) {
+      localStorage.removeItem(getSubtitleOffsetKey(currentFileIndex));
+    } else {
+      localStorage.setItem(getSubtitleOffsetKey(currentFileIndex), String(ms));
+    }
+  }
+  updateSubtitleOffsetLabel();
+  Array.from(player.media.textTracks).forEach(applySubtitleOffset);
+}
+
+function updateSubtitleOffsetLabel() {
+  const sign = subtitleOffset > 0 ? '+' : '';
+  subtitleOffsetLabel.textContent = `Subs ${sign}${(subtitleOffset / 1000).toFixed(1)}s`;
+}
+
+// Shift a track's cues by the subtitle offset (and the remux start, whose
+// timeline begins at 0 instead of the file position)
+function applySubtitleOffset(textTrack) {
+  if (!textTrack || !textTrack.cues) return;
+  const shift = subtitleOffset / 1000 - (remux.active ? remux.offset : 0);
+
+  Array.from(textTrack.cues).forEach(cue => {
+    if (!originalCueTimes.has(cue)) {
+      originalCueTimes.set(cue, { start: cue.startTime, end: cue.endTime });
+    }
+    const original = originalCueTimes.get(cue);
+    cue.startTime = Math.max(0, original.start + shift);
+    cue.endTime = Math.max(0, original.end + shift);
+  });
+}
+
+// Load the subtitles the server found for a video. Embedded tracks are only
+// listed: extracting one reads the whole file, so it waits until it's picked
+// (Plyr would otherwise switch one on by language as soon as it's added).
+async function loadSubtitles(fileIndex) {
+  renderEmbeddedSubtitles([]);
+  const subtitles = await fetchSubtitles(fileIndex);
+  if (currentFileIndex !== fileIndex) return;
+
+  subtitles.filter(subtitle => subtitle.source !== 'embedded').forEach(subtitle => addSubtitleTrack(subtitle));
+  renderEmbeddedSubtitles(subtitles.filter(subtitle => subtitle.source === 'embedded'));
+}
+
+function renderEmbeddedSubtitles(subtitles) {
+  embeddedSubtitles = new Map(subtitles.map(subtitle => [subtitle.id, subtitle]));
+  embeddedSubtitleSelect.length = 1;
+  for (const subtitle of subtitles) {
+    const option = document.createElement('option');
+    option.value = subtitle.id;
+    option.textContent = subtitle.label;
+    embeddedSubtitleSelect.appendChild(option);
+  }
+  embeddedSubtitleSelect.value = '';
+  embeddedSubtitleSelect.classList.toggle('hidden', subtitles.length === 0);
+}
+
+// Play a file natively, over HLS, or remuxed to MP4 when the browser
+// can't play the container
+function playFile(fileIndex, options = {}) {
+  currentFileIndex = fileIndex;
+  updatePlaylistButtons();
+  const streamUrl = getStreamUrl(fileIndex);
+  const file = currentFiles[fileIndex];
+  const native = file ? canPlayNatively(file.name) : true;
+  const useHls = options.remux === undefined && hlsMode && canUseHls();
+  const useRemux = !useHls && (options.remux !== undefined ? options.remux : (!native && serverFeatures.ffmpeg));
+  const startTime = options.startTime || 0;
+
+  // Offer the saved position when starting a file fresh
+  hideResumePrompt();
+  if (options.startTime === undefined && file && file.watch && file.watch.resumeAt) {
+    showResumePrompt(file.watch.resumeAt);
+  }
+
+  destroyHls();
+  remux = { active: useRemux, offset: useRemux ? startTime : 0, duration: null };
+  resetPreviewThumbnails();
+
+  // Update Plyr source
+  if (useHls) {
+    loadHls(getHlsUrl(fileIndex), startTime);
+  } else if (useRemux) {
+    player.source = {
+      type: 'video',
+      sources: [{ src: getRemuxUrl(fileIndex, startTime), type: 'video/mp4' }]
+    };
+
+    // Remuxed streams have no known length - get it from the server
+    if (serverFeatures.ffprobe) {
+      fetchProbe(fileIndex).then(info => {
+        if (info && currentFileIndex === fileIndex && remux.active) {
+          remux.duration = info.duration;
+        }
+      });
+    }
+  } else {
+    // Browsers that can't tell still often play MKV as MP4, so fall back to that type
+    const mimeType = file && native ? VIDEO_MIME_TYPES[getExtension(file.name)] : 'video/mp4';
+    player.source = {
+      type: 'video',
+      sources: [{ src: streamUrl, type: mimeType }]
+    };
+    if (startTime > 0) {
+      player.once('loadedmetadata', () => {
+        player.currentTime = startTime;
+      });
+    }
+  }
+
+  // Plyr recreates the <video> element, so tracks have to be added again
+  loadSubtitleOffset(fileIndex);
+  loadSubtitles(fileIndex);
+
+  // Update external links (signed when login is on, so players without cookies work)
+  vlcLink.href = `vlc://${streamUrl}`;
+  rawLink.href = streamUrl;
+  playlistLink.href = `/playlist.m3u?infoHash=${currentInfoHash}`;
+  externalLinks = null;
+  fetchLinks(fileIndex).then(links => {
+    if (!links || currentFileIndex !== fileIndex) return;
+    externalLinks = {
+      stream: `${window.location.origin}${links.stream}`,
+      hls: `${window.location.origin}${links.hls}`
+    };
+    vlcLink.href = `vlc://${externalLinks.stream}`;
+    rawLink.href = externalLinks.stream;
+    playlistLink.href = links.m3u;
+  });
+
+  // Show player section
+  playerSection.classList.remove('hidden');
+
+  // Start playback once enough is buffered
+  playWhenBuffered(fileIndex);
+
+  // Re-render file list to show playing status
+  fetchStatus().then(status => {
+    if (status && status.files) {
+      renderFileList(status.files);
+    }
+  });
+}
+
+function updateStats(status) {
+  if (!status || !status.active) return;
+
+  downloadSpeedEl.textContent = `${formatBytes(status.downloadSpeed)}/s`;
+  peersEl.textContent = status.numPeers;
+
+  const downloaded = formatBytes(status.downloaded);
+  const total = formatBytes(status.total);
+  const percent = status.total > 0 ? ((status.downloaded / status.total) * 100).toFixed(1) : 0;
+  progressEl.textContent = `${downloaded} / ${total} (${percent}%)`;
+
+  if (status.disk) {
+    updateDiskUsage(status.disk);
+  }
 
   // Render piece map if available
   if (status.pieceMap && status.pieceMap.length > 0) {
-    renderPieceMap(status.pieceMap);
+    pieceMap = { fileIndex: status.pieceMapFileIndex, start: status.pieceMapStart, pieces: status.pieceMap };
+    renderPieceMap(pieceMap.pieces);
+  } else if (!status.pieceMap && status.pieceMapFileIndex !== pieceMap.fileIndex) {
+    resyncPieceMap();
   }
 
+  // Push updates leave out the file list
+  const files = status.files || currentFiles;
+
   // Buffer health - show how many seconds are buffered ahead
-  if (currentFileIndex !== null && status.bufferAhead !== undefined && player && player.duration) {
-    const file = status.files[currentFileIndex];
-    // Estimate seconds buffered based on byte position
-    const bytesPerSecond = file.length / player.duration;
-    const secondsBuffered = bytesPerSecond > 0 ? status.bufferAhead / bytesPerSecond : 0;
+  const duration = getPlaybackDuration();
+  if (currentFileIndex !== null && status.bufferAhead !== undefined && player && duration && files[currentFileIndex]) {
+    const file = files[currentFileIndex];
+    // Use the server's keyframe-index figure, else estimate from byte position
+    const bytesPerSecond = file.length / duration;
+    const secondsBuffered = typeof status.bufferAheadSeconds === 'number'
+      ? status.bufferAheadSeconds
+      : (bytesPerSecond > 0 ? status.bufferAhead / bytesPerSecond : 0);
 
     // Update buffer bar (cap at 60 seconds = 100%)
     const bufferPercent = Math.min((secondsBuffered / 60) * 100, 100);
@@ -310,14 +1234,253 @@ function updateStats(status) {
         bufferLabel.textContent = `${Math.floor(secondsBuffered)}s ahead`;
       }
     }
-  } else if (currentFileIndex !== null && status.files && status.files[currentFileIndex]) {
+    checkStartupBuffer(status, secondsBuffered, file);
+  } else if (currentFileIndex !== null && files[currentFileIndex]) {
     // Fallback to file progress if buffer info not available
-    const file = status.files[currentFileIndex];
+    const file = files[currentFileIndex];
     const fileProgress = (file.progress * 100).toFixed(0);
     bufferFill.style.width = `${fileProgress}%`;
+    checkStartupBuffer(status, typeof status.bufferAheadSeconds === 'number' ? status.bufferAheadSeconds : null, file);
   } else {
     bufferFill.style.width = `${(status.progress * 100).toFixed(0)}%`;
   }
+
+  updatePreviewThumbnails(status.thumbnails);
+
+  // The server noticed the stream waiting on pieces and is trying to recover
+  if (!startupWait) {
+    if (status.stall) {
+      showBufferingNotice(`⏳ Rebuffering: ${status.stall.reason}`, true);
+    } else if (bufferingNotice.classList.contains('stalled')) {
+      hideBufferingNotice();
+    }
+  }
+}
+
+// Reload Plyr's seek previews when the server has new thumbnails for the
+// playing file. Remuxed streams restart their timeline at every seek, so
+// the track's times wouldn't match.
+function updatePreviewThumbnails(thumbnails) {
+  if (!thumbnails || thumbnails.fileIndex !== currentFileIndex || remux.active) return;
+  if (thumbnails.count === 0 || thumbnails.version === thumbnailsVersion) return;
+
+  thumbnailsVersion = thumbnails.version;
+  player.setPreviewThumbnails({
+    enabled: true,
+    src: `/thumbnails/${currentInfoHash}/${currentFileIndex}/thumbnails.vtt?v=${thumbnails.version}`
+  });
+}
+
+function resetPreviewThumbnails() {
+  if (thumbnailsVersion === 0) return;
+  thumbnailsVersion = 0;
+  player.setPreviewThumbnails({ enabled: false, src: '' });
+}
+
+// Temp dir usage against the budget, free space, and whether downloads are paused for space
+function updateDiskUsage(disk) {
+  const parts = [disk.budget ? `${formatBytes(disk.used)} / ${formatBytes(disk.budget)}` : `${formatBytes(disk.used)} used`];
+  if (disk.free !== null) {
+    parts.push(`${formatBytes(disk.free)} free`);
+  }
+  diskUsageEl.textContent = (disk.paused ? '⏸ Paused · ' : '') + parts.join(' · ');
+  diskUsageEl.classList.toggle('disk-paused', disk.paused);
+}
+
+// Rates are bytes/s on the server (-1 = unlimited) and KB/s in the form (empty = unlimited)
+function rateToInput(rate) {
+  return rate === undefined || rate === null || rate < 0 ? '' : String(Math.round(rate / 1024));
+}
+
+function inputToRate(value, emptyValue = -1) {
+  return value.trim() === '' ? emptyValue : Math.max(0, Math.round(Number(value) * 1024));
+}
+
+function formatRate(rate) {
+  return rate < 0 ? 'unlimited' : `${formatBytes(rate)}/s`;
+}
+
+function addScheduleRow(rule = { start: '09:00', end: '18:00' }) {
+  const row = document.createElement('div');
+  row.className = 'schedule-row';
+  if (rule.days) row.dataset.days = JSON.stringify(rule.days);
+
+  row.innerHTML = `
+            <input type="time" class="schedule-start" value="${rule.start}">
+            <span>–</span>
+            <input type="time" class="schedule-end" value="${rule.end}">
+            <input type="number" class="schedule-down" min="0" placeholder="↓ KB/s" value="${rateToInput(rule.downloadLimit)}">
+            <input type="number" class="schedule-up" min="0" placeholder="↑ KB/s" value="${rateToInput(rule.uploadLimit)}">
+            <button class="library-remove-btn" title="Remove rule">×</button>
+        `;
+  row.querySelector('.library-remove-btn').addEventListener('click', () => row.remove());
+  scheduleList.appendChild(row);
+}
+
+function renderLimits(limits) {
+  const settings = limits.settings;
+  downloadLimitInput.value = rateToInput(settings.downloadLimit);
+  uploadLimitInput.value = rateToInput(settings.uploadLimit);
+
+  scheduleList.innerHTML = '';
+  settings.schedule.forEach(rule => addScheduleRow(rule));
+
+  seedBoostCheckbox.checked = settings.seedBoost.enabled;
+  seedBoostLimitInput.value = rateToInput(settings.seedBoost.uploadLimit);
+  seedBoostMinutesInput.value = settings.seedBoost.minutes;
+
+  const effective = limits.effective;
+  const reasons = effective.reasons.length > 0 ? ` (${effective.reasons.join(', ')})` : '';
+  effectiveLimitsEl.textContent = `Now: ↓ ${formatRate(effective.downloadLimit)}, ↑ ${formatRate(effective.uploadLimit)}${reasons}`;
+}
+
+// Read the form back into a /api/limits update
+function readLimitsForm() {
+  const schedule = Array.from(scheduleList.querySelectorAll('.schedule-row')).map(row => {
+    const rule = {
+      start: row.querySelector('.schedule-start').value,
+      end: row.querySelector('.schedule-end').value
+    };
+    const down = inputToRate(row.querySelector('.schedule-down').value, null);
+    const up = inputToRate(row.querySelector('.schedule-up').value, null);
+    if (down !== null) rule.downloadLimit = down;
+    if (up !== null) rule.uploadLimit = up;
+    if (row.dataset.days) rule.days = JSON.parse(row.dataset.days);
+    return rule;
+  });
+
+  return {
+    downloadLimit: inputToRate(downloadLimitInput.value),
+    uploadLimit: inputToRate(uploadLimitInput.value),
+    schedule,
+    seedBoost: {
+      enabled: seedBoostCheckbox.checked,
+      uploadLimit: inputToRate(seedBoostLimitInput.value),
+      minutes: Math.max(1, parseInt(seedBoostMinutesInput.value, 10) || 60)
+    }
+  };
+}
+
+// Choke/interest state in the usual uTorrent style
+function getPeerFlags(peer) {
+  return (peer.peerChoking ? 'C' : '') + (peer.amChoking ? 'c' : '') +
+    (peer.peerInterested ? 'I' : '') + (peer.amInterested ? 'i' : '');
+}
+
+function sortPeers(peers) {
+  const { key, descending } = peerSort;
+  const value = peer => (key === 'flags' ? getPeerFlags(peer) : peer[key] ?? '');
+  return peers.slice().sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    return descending ? -order : order;
+  });
+}
+
+function renderPeers(peers) {
+  peerTableBody.innerHTML = '';
+  sortPeers(peers).forEach(peer => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+            <td></td>
+            <td></td>
+            <td>${peer.source}</td>
+            <td>${formatBytes(peer.downloadSpeed)}/s</td>
+            <td>${formatBytes(peer.uploadSpeed)}/s</td>
+            <td>${(peer.progress * 100).toFixed(0)}%</td>
+            <td>${getPeerFlags(peer)}</td>
+            <td>${peer.requests}</td>
+        `;
+    // Peers choose their own client strings
+    row.children[0].textContent = peer.address;
+    row.children[1].textContent = peer.client || '?';
+    row.classList.toggle('peer-choking', peer.peerChoking);
+    peerTableBody.appendChild(row);
+  });
+
+  peersPanel.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === peerSort.key);
+    th.classList.toggle('descending', th.dataset.sort === peerSort.key && peerSort.descending);
+  });
+}
+
+async function refreshPeers() {
+  if (!currentInfoHash || !peersPanel.open) return;
+  try {
+    lastPeers = await fetchPeers();
+    renderPeers(lastPeers);
+  } catch (err) {
+    console.error('Error fetching peers:', err);
+  }
+}
+
+function startPeerUpdates() {
+  stopPeerUpdates();
+  refreshPeers();
+  peersInterval = setInterval(refreshPeers, PEERS_REFRESH_INTERVAL);
+}
+
+function stopPeerUpdates() {
+  if (peersInterval) {
+    clearInterval(peersInterval);
+    peersInterval = null;
+  }
+}
+
+function formatAgo(timestamp) {
+  if (!timestamp) return 'never';
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+  return `${Math.round(seconds / 3600)}h ago`;
+}
+
+function renderTrackers(data) {
+  if (data.count !== undefined) {
+    updateTrackerCount(data.count);
+  }
+  trackerListsEl.textContent = (data.lists || [])
+    .map(list => `${list.url}: ${list.error ? `⚠ ${list.error}` : `${list.count} trackers`}`)
+    .join(' · ');
+
+  trackerTableBody.innerHTML = '';
+  data.trackers.forEach(tracker => {
+    const row = document.createElement('tr');
+    const removable = !tracker.sources.includes('torrent');
+
+    row.innerHTML = `
+            <td><span class="tracker-status ${tracker.status}"></span></td>
+            <td class="tracker-url"></td>
+            <td>${tracker.seeders ?? '-'}</td>
+            <td>${tracker.leechers ?? '-'}</td>
+            <td>${formatAgo(tracker.lastAnnounceAt)}</td>
+            <td>${removable ? '<button class="library-remove-btn" title="Remove tracker">×</button>' : ''}</td>
+        `;
+    row.querySelector('.tracker-url').textContent = tracker.url;
+    row.title = tracker.lastError || tracker.sources.join(', ');
+
+    if (removable) {
+      row.querySelector('.library-remove-btn').addEventListener('click', async () => {
+        const result = await removeTracker(tracker.url);
+        if (result.error) {
+          alert('Error: ' + result.error);
+          return;
+        }
+        await refreshTrackers();
+      });
+    }
+
+    trackerTableBody.appendChild(row);
+  });
+}
+
+async function refreshTrackers() {
+  try {
+    renderTrackers(await fetchTrackers(trackerScope.value));
+  } catch (err) {
+    trackerListsEl.textContent = 'Error loading trackers';
+  }
 }
 
 function resetUI() {
@@ -325,53 +1488,200 @@ function resetUI() {
   fileSection.classList.add('hidden');
   statsSection.classList.add('hidden');
   if (player) player.stop();
+  destroyHls();
+  currentInfoHash = null;
   currentFileIndex = null;
+  currentFiles = [];
+  pieceMap = { fileIndex: null, start: 0, pieces: [] };
+  remux = { active: false, offset: 0, duration: null };
+  if (player) resetPreviewThumbnails();
+  renderEmbeddedSubtitles([]);
+  startupWait = null;
+  hideResumePrompt();
+  hideBufferingNotice();
   fileList.innerHTML = '';
+  lastPeers = [];
+  peerTableBody.innerHTML = '';
 }
 
-// Event Handlers
-addBtn.addEventListener('click', async () => {
-  const input = magnetInput.value.trim();
-  if (!input) return;
+// Live updates: /api/events when the browser supports it, polling otherwise
+function startUpdates() {
+  if (window.EventSource) {
+    connectEvents();
+  } else {
+    startStatusPolling();
+  }
+}
+
+function stopUpdates() {
+  if (events) {
+    events.close();
+    events = null;
+  }
+  stopStatusPolling();
+}
+
+function connectEvents() {
+  if (events) events.close();
+  const query = currentInfoHash ? `?infoHash=${currentInfoHash}` : '';
+  events = new EventSource(`/api/events${query}`);
+
+  // Poll while the connection is down; EventSource keeps retrying on its own
+  events.addEventListener('open', stopStatusPolling);
+  events.addEventListener('error', () => {
+    if (!statusInterval) startStatusPolling();
+  });
+
+  events.addEventListener('torrents', (e) => {
+    renderTorrentList(JSON.parse(e.data).torrents);
+  });
+
+  events.addEventListener('snapshot', (e) => {
+    updateStats(JSON.parse(e.data));
+  });
+
+  events.addEventListener('stats', (e) => {
+    updateStats(JSON.parse(e.data));
+  });
+
+  events.addEventListener('pieces', (e) => {
+    const data = JSON.parse(e.data);
+    if (data.infoHash === currentInfoHash) {
+      applyVerifiedPieces(data.pieces);
+    }
+  });
+
+  // A kept file finished moving to the media folder
+  events.addEventListener('kept', async (e) => {
+    renderMedia(await fetchMedia());
+    if (JSON.parse(e.data).infoHash === currentInfoHash) {
+      const status = await fetchStatus();
+      if (status && status.files) renderFileList(status.files);
+    }
+  });
+
+  // The torrent was deleted elsewhere (another tab, the API)
+  events.addEventListener('removed', (e) => {
+    if (JSON.parse(e.data).infoHash === currentInfoHash) {
+      resetUI();
+      connectEvents();
+    }
+  });
+}
+
+function startStatusPolling() {
+  if (statusInterval) clearInterval(statusInterval);
+  statusInterval = setInterval(async () => {
+    const status = await fetchStatus();
+    if (status && status.active) {
+      updateStats(status);
+    }
+    renderTorrentList(await fetchTorrents());
+  }, 1000);
+}
+
+function stopStatusPolling() {
+  if (statusInterval) {
+    clearInterval(statusInterval);
+    statusInterval = null;
+  }
+}
+
+// Show a torrent's files and stats, auto-playing a lone video file
+async function selectTorrent(infoHash, files = null) {
+  if (infoHash === currentInfoHash && files === null) return;
 
-  showLoading('Loading torrent metadata...');
+  resetUI();
+  currentInfoHash = infoHash;
+
+  if (!files) {
+    const status = await fetchStatus();
+    if (!status) return;
+    files = status.files;
+    updateStats(status);
+  }
+
+  fileSection.classList.remove('hidden');
+  statsSection.classList.remove('hidden');
+  renderFileList(files);
+
+  // Auto-select if only one video file
+  const videoFiles = files.filter(f => isVideoFile(f.name));
+  if (videoFiles.length === 1) {
+    const videoIndex = files.findIndex(f => isVideoFile(f.name));
+    playFile(videoIndex);
+  }
+
+  renderTorrentList(await fetchTorrents());
+  startUpdates();
+}
+
+// Add a torrent via the given request and open it
+async function handleAddTorrent(request, loadingMessage) {
+  showLoading(loadingMessage);
 
   try {
-    const result = await addTorrent(input);
+    const result = await request();
 
     if (result.error) {
       alert('Error: ' + result.error);
       hideLoading();
-      return;
+      return false;
     }
 
-    // Show file section
-    fileSection.classList.remove('hidden');
-    statsSection.classList.remove('hidden');
-    renderFileList(result.files);
+    await selectTorrent(result.infoHash, result.files);
+  } catch (err) {
+    alert('Error adding torrent: ' + err.message);
+    hideLoading();
+    return false;
+  }
 
-    // Auto-select if only one video file
-    const videoFiles = result.files.filter(f => isVideoFile(f.name));
-    if (videoFiles.length === 1) {
-      const videoIndex = result.files.findIndex(f => isVideoFile(f.name));
-      playFile(videoIndex);
-    }
+  hideLoading();
+  return true;
+}
 
-    // Start status polling
-    if (statusInterval) clearInterval(statusInterval);
-    statusInterval = setInterval(async () => {
-      const status = await fetchStatus();
-      if (status && status.active) {
-        updateStats(status);
-      }
-    }, 1000);
+// Event Handlers
+addBtn.addEventListener('click', async () => {
+  const input = magnetInput.value.trim();
+  if (!input) return;
 
+  const added = await handleAddTorrent(() => addTorrent(input), 'Loading torrent metadata...');
+  if (added) {
     magnetInput.value = '';
-  } catch (err) {
-    alert('Error adding torrent: ' + err.message);
   }
+});
 
-  hideLoading();
+torrentFileInput.addEventListener('change', async () => {
+  const file = torrentFileInput.files[0];
+  if (!file) return;
+
+  await handleAddTorrent(() => uploadTorrentFile(file), 'Adding torrent file...');
+  torrentFileInput.value = '';
+});
+
+// Drag and drop .torrent files onto the input section
+inputSection.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  inputSection.classList.add('drag-over');
+});
+
+inputSection.addEventListener('dragleave', (e) => {
+  if (!inputSection.contains(e.relatedTarget)) {
+    inputSection.classList.remove('drag-over');
+  }
+});
+
+inputSection.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  inputSection.classList.remove('drag-over');
+
+  const file = Array.from(e.dataTransfer.files).find(f => f.name.toLowerCase().endsWith('.torrent'));
+  if (!file) {
+    alert('Please drop a .torrent file');
+    return;
+  }
+
+  await handleAddTorrent(() => uploadTorrentFile(file), 'Adding torrent file...');
 });
 
 magnetInput.addEventListener('keypress', (e) => {
@@ -381,15 +1691,21 @@ magnetInput.addEventListener('keypress', (e) => {
 });
 
 deleteBtn.addEventListener('click', async () => {
+  if (!currentInfoHash) return;
   showLoading('Deleting torrent...');
 
-  if (statusInterval) {
-    clearInterval(statusInterval);
-    statusInterval = null;
-  }
+  stopUpdates();
 
-  await deleteTorrent();
+  await deleteTorrent(currentInfoHash, keepDataCheckbox.checked);
   resetUI();
+
+  // Keep the list updating if other torrents are still active
+  const torrents = await fetchTorrents();
+  renderTorrentList(torrents);
+  renderLibrary(await fetchLibrary());
+  if (torrents.length > 0) {
+    startUpdates();
+  }
   hideLoading();
 });
 
@@ -397,12 +1713,16 @@ loadTrackersBtn.addEventListener('click', async () => {
   showLoading('Reloading trackers...');
   const result = await reloadTrackers();
   updateTrackerCount(result.count);
+  if (trackersPanel.open) await refreshTrackers();
   hideLoading();
 });
 
 copyLinkBtn.addEventListener('click', () => {
   if (currentFileIndex === null) return;
-  const url = getStreamUrl(currentFileIndex);
+  const useHls = hlsMode && canUseHls();
+  const url = externalLinks
+    ? (useHls ? externalLinks.hls : externalLinks.stream)
+    : (useHls ? getHlsUrl(currentFileIndex) : getStreamUrl(currentFileIndex));
   navigator.clipboard.writeText(url).then(() => {
     const originalText = copyLinkBtn.textContent;
     copyLinkBtn.textContent = '✓ Copied!';
@@ -412,12 +1732,159 @@ copyLinkBtn.addEventListener('click', () => {
   });
 });
 
+keepAllBtn.addEventListener('click', async () => {
+  if (!currentInfoHash) return;
+  const result = await keepAllFiles();
+  if (result.error) {
+    alert('Error: ' + result.error);
+    return;
+  }
+  renderFileList(result.files);
+});
+
+limitsPanel.addEventListener('toggle', async () => {
+  if (!limitsPanel.open) return;
+  try {
+    renderLimits(await fetchLimits());
+  } catch (err) {
+    effectiveLimitsEl.textContent = 'Error loading limits';
+  }
+});
+
+addScheduleBtn.addEventListener('click', () => addScheduleRow());
+
+peersPanel.addEventListener('toggle', () => {
+  if (peersPanel.open) {
+    startPeerUpdates();
+  } else {
+    stopPeerUpdates();
+  }
+});
+
+peersPanel.querySelectorAll('th[data-sort]').forEach(th => {
+  th.addEventListener('click', () => {
+    const key = th.dataset.sort;
+    // Numbers start biggest first, text A-Z
+    peerSort = peerSort.key === key
+      ? { key, descending: !peerSort.descending }
+      : { key, descending: !['address', 'client', 'source', 'flags'].includes(key) };
+    renderPeers(lastPeers);
+  });
+});
+
+trackersPanel.addEventListener('toggle', () => {
+  if (trackersPanel.open) refreshTrackers();
+});
+
+trackerScope.addEventListener('change', refreshTrackers);
+
+addTrackerBtn.addEventListener('click', async () => {
+  const url = trackerInput.value.trim();
+  if (!url) return;
+  const result = await addTracker(url);
+  if (result.error) {
+    alert('Error: ' + result.error);
+    return;
+  }
+  trackerInput.value = '';
+  trackerScope.value = 'all';
+  await refreshTrackers();
+});
+
+saveLimitsBtn.addEventListener('click', async () => {
+  try {
+    const result = await saveLimits(readLimitsForm());
+    if (result.error) {
+      alert('Error: ' + result.error);
+      return;
+    }
+    renderLimits(result);
+  } catch (err) {
+    alert('Error saving limits: ' + err.message);
+  }
+});
+
+logoutBtn.addEventListener('click', async () => {
+  stopUpdates();
+  await logout();
+  window.location.href = '/login.html';
+});
+
+resumeBtn.addEventListener('click', () => {
+  const time = resumeTime;
+  hideResumePrompt();
+  if (time !== null) {
+    seekTo(time);
+    player.play().catch(err => console.log('Autoplay prevented:', err));
+  }
+});
+
+resumeDismissBtn.addEventListener('click', hideResumePrompt);
+
+hlsToggleBtn.addEventListener('click', () => {
+  hlsMode = !hlsMode;
+  localStorage.setItem('hlsMode', hlsMode ? 'on' : 'off');
+  updateHlsToggle();
+
+  // Restart the current file in the new mode at the same position
+  if (currentFileIndex !== null) {
+    playFile(currentFileIndex, { startTime: getPlaybackTime() });
+  }
+});
+
+autoplayToggleBtn.addEventListener('click', () => {
+  autoplayNext = !autoplayNext;
+  localStorage.setItem('autoplayNext', autoplayNext ? 'on' : 'off');
+  updateAutoplayToggle();
+});
+
+prevFileBtn.addEventListener('click', () => {
+  const index = getAdjacentFile(-1);
+  if (index !== null) playFile(index);
+});
+
+nextFileBtn.addEventListener('click', () => {
+  const index = getAdjacentFile(1);
+  if (index !== null) playFile(index);
+});
+
+subtitleFileInput.addEventListener('change', async () => {
+  const file = subtitleFileInput.files[0];
+  subtitleFileInput.value = '';
+  if (!file || currentFileIndex === null) return;
+
+  try {
+    const result = await uploadSubtitleFile(currentFileIndex, file);
+    if (result.error) {
+      alert('Error: ' + result.error);
+      return;
+    }
+    addSubtitleTrack(result.subtitle, true);
+  } catch (err) {
+    alert('Error uploading subtitles: ' + err.message);
+  }
+});
+
+embeddedSubtitleSelect.addEventListener('change', () => {
+  const subtitle = embeddedSubtitles.get(embeddedSubtitleSelect.value);
+  embeddedSubtitleSelect.value = '';
+  if (subtitle) addSubtitleTrack(subtitle, true);
+});
+
+// Subtitle offset buttons
+document.querySelectorAll('.subtitle-offset-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const step = parseInt(btn.dataset.offset, 10);
+    setSubtitleOffset(step === 0 ? 0 : subtitleOffset + step);
+  });
+});
+
 // Skip buttons
 document.querySelectorAll('.skip-btn').forEach(btn => {
   btn.addEventListener('click', () => {
     if (!player) return;
     const skip = parseInt(btn.dataset.skip, 10);
-    player.currentTime = Math.max(0, Math.min(player.duration || 0, player.currentTime + skip));
+    seekTo(getPlaybackTime() + skip);
   });
 });
 
@@ -429,25 +1896,34 @@ async function init() {
   // Setup piece map click to seek
   setupPieceMapClick();
 
-  const status = await fetchStatus();
+  const status = await fetchServerStatus();
 
   if (status) {
     updateTrackerCount(status.trackerCount);
+    serverFeatures = { ffmpeg: Boolean(status.ffmpeg), ffprobe: Boolean(status.ffprobe) };
+  }
+  updateHlsToggle();
+  updateAutoplayToggle();
 
-    if (status.active) {
-      fileSection.classList.remove('hidden');
-      statsSection.classList.remove('hidden');
-      renderFileList(status.files);
-      updateStats(status);
+  const authStatus = await fetchAuthStatus();
+  logoutBtn.classList.toggle('hidden', !(authStatus && authStatus.enabled));
 
-      // Start status polling
-      statusInterval = setInterval(async () => {
-        const s = await fetchStatus();
-        if (s && s.active) {
-          updateStats(s);
-        }
-      }, 1000);
-    }
+  const config = await fetchConfig();
+  if (config) {
+    keepDataCheckbox.checked = Boolean(config.keepDownloads);
+    startupBuffer = config.startupBuffer || 0;
+  }
+
+  const torrents = await fetchTorrents();
+  renderTorrentList(torrents);
+  renderLibrary(await fetchLibrary());
+  renderMedia(await fetchMedia());
+
+  // Open the torrent right away if it's the only one
+  if (torrents.length === 1 && torrents[0].ready) {
+    await selectTorrent(torrents[0].infoHash);
+  } else if (torrents.length > 0) {
+    startUpdates();
   }
 }
 
@@ -0,0 +1,46 @@
+// DOM Elements
+const loginForm = document.getElementById('loginForm');
+const passwordInput = document.getElementById('passwordInput');
+const loginBtn = document.getElementById('loginBtn');
+const loginError = document.getElementById('loginError');
+
+function showError(message) {
+  loginError.textContent = message;
+  loginError.classList.remove('hidden');
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  loginBtn.disabled = true;
+  loginError.classList.add('hidden');
+
+  try {
+    const res = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: passwordInput.value })
+    });
+    const result = await res.json();
+
+    if (result.error) {
+      showError(result.error);
+      passwordInput.select();
+    } else {
+      window.location.href = '/';
+    }
+  } catch (err) {
+    showError('Error logging in: ' + err.message);
+  }
+
+  loginBtn.disabled = false;
+});
+
+// Skip the form when already logged in (or login is off)
+fetch('/api/auth')
+  .then(res => res.json())
+  .then(status => {
+    if (status.authenticated) {
+      window.location.href = '/';
+    }
+  })
+  .catch(() => {});
@@ -1,17 +1,103 @@
 import express from 'express';
 import WebTorrent from 'webtorrent';
+import parseTorrent from 'parse-torrent';
+import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { loadConfig, getPublicConfig, printConfig } from './lib/config.js';
+import { detectBinary, spawnRemux, probeMedia, collectStderr } from './lib/ffmpeg.js';
+import { buildFixedSegments, buildKeyframeSegments, buildPlaylist, generateSegment } from './lib/hls.js';
+import { buildMediaIndex, indexTimeToByte, indexByteToTime } from './lib/media-index.js';
+import { createLibrary } from './lib/library.js';
+import { createAuth } from './lib/auth.js';
+import { createMediaLibrary } from './lib/media.js';
+import { getDirSize, getFreeSpace, formatBytes } from './lib/disk.js';
+import { validateLimits, getEffectiveLimits } from './lib/limits.js';
+import { createJsonStore } from './lib/store.js';
+import { getConnectedPeers } from './lib/peers.js';
+import { contentDisposition, sendRanges } from './lib/http-range.js';
+import { buildM3u, buildXspf } from './lib/playlist.js';
+import {
+  getThumbnailLayout,
+  getThumbnailTime,
+  extractThumbnail,
+  writeSprite,
+  buildThumbnailsVtt
+} from './lib/thumbnails.js';
+import {
+  CONTENT_DIRECTORY,
+  CONNECTION_MANAGER,
+  CONTENT_FEATURES,
+  CONTENT_DIRECTORY_SCPD,
+  CONNECTION_MANAGER_SCPD,
+  createSsdpServer,
+  buildDeviceDescription,
+  getProtocolInfo,
+  parseSoapAction,
+  getSoapArgument,
+  buildSoapResponse,
+  buildSoapFault,
+  buildDidl
+} from './lib/dlna.js';
+import {
+  normalizeTrackerUrl,
+  isTrackerUrl,
+  readTrackersFile,
+  addToTrackersFile,
+  removeFromTrackersFile,
+  fetchTrackerList,
+  scrapeTracker
+} from './lib/trackers.js';
+import {
+  isSubtitleFile,
+  guessLanguage,
+  findSidecarSubtitles,
+  getEmbeddedSubtitleStreams,
+  decodeSubtitle,
+  toVtt,
+  extractEmbeddedSubtitle
+} from './lib/subtitles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Settings from config file, environment and CLI flags
+let config;
+try {
+  config = loadConfig({ baseDir: __dirname });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const app = express();
-const PORT = 8888;
-const TEMP_DIR = path.join(__dirname, 'temp');
-const TRACKERS_FILE = path.join(__dirname, 'trackers.txt');
-const NGOSANG_URL = 'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_best.txt';
+const PORT = config.port;
+const TEMP_DIR = config.tempDir;
+const TRACKERS_FILE = config.trackersFile;
+const TRACKER_LIST_URLS = Array.from(new Set([config.trackerListUrl, ...config.trackerListUrls].filter(Boolean)));
+
+// Download priority levels for selected files (higher is fetched first)
+const FILE_PRIORITIES = { low: 0, normal: 1, high: 2 };
+
+// Content types of streamable video files
+const VIDEO_CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.m4v': 'video/x-m4v'
+};
+
+// In-memory uploads for .torrent files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10 MB max .torrent size
+});
 
 // Ensure temp directory exists
 if (!fs.existsSync(TEMP_DIR)) {
@@ -20,98 +106,501 @@ if (!fs.existsSync(TEMP_DIR)) {
 
 // WebTorrent client with minimal upload
 const client = new WebTorrent({
-  uploadLimit: 5000 // 5 KB/s max upload
+  uploadLimit: config.uploadLimit, // 5 KB/s max upload by default
+  downloadLimit: config.downloadLimit
+});
+
+// Rate limits changed at runtime (/api/limits), saved over the config defaults
+const limitsStore = createJsonStore(path.join(config.dataDir, 'limits.json'), {
+  downloadLimit: config.downloadLimit,
+  uploadLimit: config.uploadLimit,
+  schedule: [],
+  seedBoost: { enabled: false, uploadLimit: -1, minutes: 60 }
+});
+
+// Uploads are unthrottled (seedBoost.uploadLimit) until this time after a file finishes
+let seedBoostUntil = 0;
+
+// How often the schedule is re-evaluated
+const LIMITS_CHECK_INTERVAL = 30000;
+
+// Previously added torrents, persisted across restarts
+const library = createLibrary(config.dataDir);
+
+// Files kept from torrents, served from the media directory
+const media = createMediaLibrary({
+  dataDir: config.dataDir,
+  mediaDir: config.mediaDir,
+  template: config.mediaNameTemplate
+});
+
+// Optional login, API tokens and signed stream URLs (off without a password)
+const auth = createAuth({
+  password: config.password,
+  dataDir: config.dataDir,
+  sessionMaxAge: config.sessionMaxAge,
+  streamUrlTtl: config.streamUrlTtl
 });
 
+// Paths reachable without logging in
+const PUBLIC_PATHS = ['/login.html', '/login.js', '/style.css', '/api/auth', '/api/login'];
+
+// DLNA media server (with `dlna` on): a device id that stays the same across
+// restarts so TVs remember the server, the SSDP responder, and a counter
+// control points use to notice that the torrent list changed
+const dlnaStore = createJsonStore(path.join(config.dataDir, 'dlna.json'), { uuid: null });
+const DLNA_SERVICES = { ContentDirectory: CONTENT_DIRECTORY, ConnectionManager: CONNECTION_MANAGER };
+let ssdp = null;
+let dlnaUpdateId = 1;
+
+// How long the loopback URLs handed to ffmpeg/ffprobe stay valid
+const INTERNAL_URL_TTL = 24 * 3600;
+
 // Store loaded trackers
 let loadedTrackers = [];
 
-// Current torrent reference
-let currentTorrent = null;
-
-// Load trackers from file and ngosang URL
-async function loadTrackers() {
-  const trackers = new Set();
+// Where each loaded tracker came from: url -> ['file' and/or remote list URLs]
+let trackerSources = new Map();
+
+// Last fetch of each remote list: url -> { trackers, fetchedAt, error }
+const trackerLists = new Map();
+
+// How often swarm counts are scraped from the trackers of active torrents (ms)
+const TRACKER_SCRAPE_INTERVAL = 10 * 60 * 1000;
+
+// Info hashes as used for registry keys, library entries and data dirs
+const INFO_HASH_PATTERN = /^[0-9a-f]{40}$/;
+
+// Active torrents keyed by infoHash
+// Each entry: { torrent, dir, playbackPosition, criticalRange, criticalWindows, readers,
+//               nextReaderId, mediaInfo, hlsJobs, hlsPlans, mediaIndexes, subtitles, uploadedSubtitles,
+//               verifiedPieces, fileSelections, keepFiles, lastUsedAt, spaceChecked }
+const torrents = new Map();
+
+// Connected /api/events clients: { res, infoHash } (infoHash of the torrent they watch, or null)
+const eventClients = new Set();
+let eventTimer = null;
+
+// Disk usage of TEMP_DIR and free space, refreshed by checkDiskSpace().
+// Downloads are paused while over budget or below minFreeSpace.
+let diskStatus = { used: 0, free: null, paused: false };
+
+// How often disk usage is checked, and how far free space must recover before resuming
+const DISK_CHECK_INTERVAL = 10000;
+const DISK_RESUME_MARGIN = 1.1;
+
+// Stall detection: how often streams are checked (ms), how soon missing
+// critical pieces count as a stall with almost no peers (ms), how far the
+// critical window can be widened, and what counts as a slow peer (bytes/s)
+const STALL_CHECK_INTERVAL = 2000;
+const STALL_MIN_PEERS = 2;
+const STALL_FEW_PEERS_DELAY = 3000;
+const STALL_RECOVERY_INTERVAL = 15000;
+const STALL_MAX_BOOST = 4;
+const SLOW_PEER_SPEED = 16 * 1024;
+
+// Start fetching the next file in the playlist this many seconds before the
+// current one ends, at a priority above every selected file
+const PREFETCH_NEXT_LEAD = 120;
+const PREFETCH_PRIORITY = FILE_PRIORITIES.high + 1;
+
+// Critical windows (playback position, /stream reads) come before everything else
+const CRITICAL_PRIORITY = PREFETCH_PRIORITY + 1;
+
+// Playlist order: paths compared with numbers by value (S01E2 before S01E10)
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Seek-preview thumbnails: how often files are checked for newly downloaded
+// regions (ms), how long after the last playback report a file is still
+// worked on (ms), the data a frame is grabbed from (bytes after the keyframe,
+// and the file header), tries per thumbnail, and new thumbnails per sprite update
+const THUMBNAIL_CHECK_INTERVAL = 10000;
+const THUMBNAIL_IDLE_TIMEOUT = 10 * 60 * 1000;
+const THUMBNAIL_READ_BYTES = 2 * 1024 * 1024;
+const THUMBNAIL_HEAD_BYTES = 1024 * 1024;
+const THUMBNAIL_MAX_ATTEMPTS = 3;
+const THUMBNAIL_SPRITE_BATCH = 20;
+
+// Containers ffmpeg seeks in through an index; frames are only grabbed once
+// the same index is known here, so the right pieces are checked
+const INDEXED_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.mkv', '.webm'];
+
+// Embedded subtitle extraction: how long ffmpeg may run (ms), and how long
+// a failed subtitle is answered from the cache before it's tried again (ms)
+const SUBTITLE_EXTRACT_TIMEOUT = 5 * 60 * 1000;
+const SUBTITLE_FAILURE_TTL = 60 * 1000;
+
+// Whether ffmpeg/ffprobe are installed (checked on startup)
+let ffmpegAvailable = false;
+let ffprobeAvailable = false;
+
+// Load trackers from the local file and the remote tracker lists. Without
+// `refreshLists` the lists aren't downloaded again (used after local edits).
+async function loadTrackers({ refreshLists = true } = {}) {
+  const sources = new Map();
+  function addFrom(source, urls) {
+    for (const url of urls) {
+      if (!sources.has(url)) sources.set(url, []);
+      sources.get(url).push(source);
+    }
+  }
 
   // Load from local file
+  let excluded = [];
   try {
-    if (fs.existsSync(TRACKERS_FILE)) {
-      const content = fs.readFileSync(TRACKERS_FILE, 'utf-8');
-      content.split('\n').forEach(line => {
-        const trimmed = line.trim();
-        if (trimmed && !trimmed.startsWith('#')) {
-          trackers.add(trimmed);
-        }
-      });
-      console.log(`Loaded ${trackers.size} trackers from local file`);
-    }
+    const local = readTrackersFile(TRACKERS_FILE);
+    addFrom('file', local.trackers);
+    excluded = local.excluded;
+    console.log(`Loaded ${local.trackers.length} trackers from local file`);
   } catch (err) {
     console.error('Error loading local trackers:', err.message);
   }
 
-  // Load from ngosang URL
-  try {
-    const response = await fetch(NGOSANG_URL);
-    if (response.ok) {
-      const content = await response.text();
-      let ngosangCount = 0;
-      content.split('\n').forEach(line => {
-        const trimmed = line.trim();
-        if (trimmed && !trimmed.startsWith('#')) {
-          if (!trackers.has(trimmed)) {
-            trackers.add(trimmed);
-            ngosangCount++;
-          }
-        }
-      });
-      console.log(`Loaded ${ngosangCount} additional trackers from ngosang`);
-    }
-  } catch (err) {
-    console.error('Error loading ngosang trackers:', err.message);
+  // Load from remote lists (ngosang by default). A failed fetch keeps the
+  // trackers from the last one that worked.
+  if (refreshLists) {
+    await Promise.all(TRACKER_LIST_URLS.map(async (url) => {
+      const previous = trackerLists.get(url);
+      try {
+        const trackers = await fetchTrackerList(url);
+        trackerLists.set(url, { trackers, fetchedAt: Date.now(), error: null });
+        console.log(`Loaded ${trackers.length} trackers from ${url}`);
+      } catch (err) {
+        trackerLists.set(url, {
+          trackers: previous ? previous.trackers : [],
+          fetchedAt: previous ? previous.fetchedAt : null,
+          error: err.message
+        });
+        console.error(`Error loading trackers from ${url}:`, err.message);
+      }
+    }));
+  }
+  for (const url of TRACKER_LIST_URLS) {
+    if (trackerLists.has(url)) addFrom(url, trackerLists.get(url).trackers);
+  }
+
+  for (const url of excluded) {
+    sources.delete(url);
   }
 
-  loadedTrackers = Array.from(trackers);
+  trackerSources = sources;
+  loadedTrackers = Array.from(sources.keys());
   console.log(`Total trackers loaded: ${loadedTrackers.length}`);
   return loadedTrackers;
 }
 
-// Clean temp directory
-function cleanTempDir() {
-  try {
-    const files = fs.readdirSync(TEMP_DIR);
-    for (const file of files) {
-      fs.rmSync(path.join(TEMP_DIR, file), { recursive: true, force: true });
+// Announce and scrape results of one tracker for one torrent
+function getTrackerStats(entry, url) {
+  if (!entry.trackerStats.has(url)) {
+    entry.trackerStats.set(url, {
+      lastAnnounceAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      seeders: null,
+      leechers: null,
+      downloaded: null,
+      scrapedAt: null,
+      scrapeError: null
+    });
+  }
+  return entry.trackerStats.get(url);
+}
+
+// Record announce results and errors from a torrent's tracker client, which
+// only exists once peer discovery has started
+function watchTrackerClient(entry) {
+  const tracker = entry.torrent.discovery && entry.torrent.discovery.tracker;
+  if (!tracker || tracker === entry.trackerClient) return;
+  entry.trackerClient = tracker;
+
+  tracker.on('update', (data) => {
+    const stats = getTrackerStats(entry, normalizeTrackerUrl(data.announce));
+    stats.lastAnnounceAt = Date.now();
+    if (Number.isInteger(data.complete)) stats.seeders = data.complete;
+    if (Number.isInteger(data.incomplete)) stats.leechers = data.incomplete;
+  });
+
+  // Warnings don't say which tracker sent them, but most messages contain its URL
+  tracker.on('warning', (err) => {
+    const url = (entry.torrent.announce || []).map(normalizeTrackerUrl).find(u => err.message.includes(u));
+    if (!url) return;
+    const stats = getTrackerStats(entry, url);
+    stats.lastErrorAt = Date.now();
+    stats.lastError = err.message;
+  });
+}
+
+// Refresh swarm counts from every tracker of the given torrents, asking each
+// tracker about all of its torrents at once
+async function scrapeTrackers(entries = Array.from(torrents.values())) {
+  const byTracker = new Map();
+  for (const entry of entries) {
+    if (entry.torrent.destroyed) continue;
+    for (const url of new Set((entry.torrent.announce || []).map(normalizeTrackerUrl))) {
+      if (!byTracker.has(url)) byTracker.set(url, []);
+      byTracker.get(url).push(entry);
+    }
+  }
+
+  await Promise.all(Array.from(byTracker, async ([url, trackerEntries]) => {
+    try {
+      const results = await scrapeTracker(url, trackerEntries.map(e => e.torrent.infoHash));
+      for (const entry of trackerEntries) {
+        const data = results[entry.torrent.infoHash];
+        if (!data) continue;
+        const stats = getTrackerStats(entry, url);
+        stats.seeders = data.complete;
+        stats.leechers = data.incomplete;
+        stats.downloaded = data.downloaded;
+        stats.scrapedAt = Date.now();
+        stats.scrapeError = null;
+      }
+    } catch (err) {
+      // Plenty of trackers don't support scraping; their announces still report counts
+      for (const entry of trackerEntries) {
+        getTrackerStats(entry, url).scrapeError = err.message;
+      }
+    }
+  }));
+}
+
+// Health of one tracker over some torrents: the latest announce, scrape and
+// error, with swarm counts added up
+function getTrackerSummary(url, entries) {
+  const summary = {
+    url,
+    sources: trackerSources.get(url) || ['torrent'],
+    status: 'unknown',
+    lastAnnounceAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    seeders: null,
+    leechers: null,
+    downloaded: null,
+    scrapedAt: null,
+    scrapeError: null
+  };
+
+  for (const entry of entries) {
+    const stats = entry.trackerStats.get(url);
+    if (!stats) continue;
+    if (stats.lastAnnounceAt > summary.lastAnnounceAt) summary.lastAnnounceAt = stats.lastAnnounceAt;
+    if (stats.lastErrorAt > summary.lastErrorAt) {
+      summary.lastErrorAt = stats.lastErrorAt;
+      summary.lastError = stats.lastError;
     }
-    console.log('Temp directory cleaned');
+    if (stats.scrapedAt > summary.scrapedAt) summary.scrapedAt = stats.scrapedAt;
+    if (stats.scrapeError) summary.scrapeError = stats.scrapeError;
+    for (const key of ['seeders', 'leechers', 'downloaded']) {
+      if (stats[key] !== null) summary[key] = (summary[key] || 0) + stats[key];
+    }
+  }
+
+  const lastOkAt = Math.max(summary.lastAnnounceAt || 0, summary.scrapedAt || 0);
+  if (lastOkAt > (summary.lastErrorAt || 0)) {
+    summary.status = 'ok';
+  } else if (summary.lastErrorAt) {
+    summary.status = 'error';
+  }
+  return summary;
+}
+
+// Per-torrent download directory inside the temp dir
+function getTorrentDir(infoHash) {
+  return path.join(TEMP_DIR, infoHash);
+}
+
+// Clean a torrent's download directory
+function cleanTorrentDir(dir) {
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log(`Temp directory cleaned: ${path.basename(dir)}`);
   } catch (err) {
     console.error('Error cleaning temp dir:', err.message);
   }
 }
 
-// Destroy current torrent
-function destroyCurrentTorrent() {
+// Destroy a torrent and remove its files, unless its data should be kept
+// for resuming later from the library
+function destroyTorrent(infoHash, { keepData = config.keepDownloads } = {}) {
   return new Promise((resolve) => {
-    if (currentTorrent) {
-      const torrentToDestroy = currentTorrent;
-      currentTorrent = null;
-      torrentToDestroy.destroy({ destroyStore: true }, () => {
-        cleanTempDir();
-        resolve();
-      });
-    } else {
+    const entry = torrents.get(infoHash);
+    if (!entry) return resolve(false);
+
+    torrents.delete(infoHash);
+    dlnaUpdateId++;
+    entry.torrent.destroy({ destroyStore: !keepData }, () => {
+      if (keepData) {
+        // Generated caches aren't worth keeping
+        cleanTorrentDir(path.join(entry.dir, '.hls'));
+        cleanTorrentDir(path.join(entry.dir, '.thumbs'));
+      } else {
+        cleanTorrentDir(entry.dir);
+      }
+      library.setDataKept(infoHash, keepData);
+      resolve(true);
+    });
+  });
+}
+
+// Destroy every active torrent
+function destroyAllTorrents() {
+  return Promise.all(Array.from(torrents.keys()).map(infoHash => destroyTorrent(infoHash)));
+}
+
+// Resolve once the torrent is ready, reject on timeout (if given)
+function waitForMetadata(torrent, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    if (torrent.ready) return resolve();
+    if (torrent.destroyed) return reject(new Error('Torrent was removed'));
+
+    const timeout = timeoutMs && setTimeout(() => {
+      cleanup();
+      const err = new Error('Timeout waiting for torrent metadata');
+      err.timeout = true;
+      reject(err);
+    }, timeoutMs);
+
+    function cleanup() {
+      clearTimeout(timeout);
+      torrent.removeListener('ready', onReady);
+      torrent.removeListener('error', onError);
+      torrent.removeListener('close', onClose);
+    }
+
+    function onReady() {
+      cleanup();
       resolve();
     }
+
+    function onError(err) {
+      cleanup();
+      reject(err);
+    }
+
+    function onClose() {
+      cleanup();
+      reject(new Error('Torrent was removed'));
+    }
+
+    torrent.once('ready', onReady);
+    torrent.once('error', onError);
+    torrent.once('close', onClose);
+  });
+}
+
+// Re-apply every file's selection, the prefetch and the critical windows.
+// Files can share boundary pieces, so deselecting one file may drop pieces
+// another selected file still needs; rebuilding the whole selection list
+// avoids that. WebTorrent's own stream selections aren't affected.
+function applyFileSelections(entry) {
+  const torrent = entry.torrent;
+  if (!torrent.ready || torrent.destroyed || torrent.pieces.length === 0) return;
+
+  torrent.deselect(0, torrent.pieces.length - 1);
+  for (const [fileIndex, selection] of entry.fileSelections) {
+    if (selection.selected) {
+      torrent.files[fileIndex].select(FILE_PRIORITIES[selection.priority]);
+    }
+  }
+  if (entry.prefetch) {
+    torrent.select(entry.prefetch.start, entry.prefetch.end, PREFETCH_PRIORITY);
+  }
+
+  // WebTorrent merges touching selections into one, fetched from its first
+  // missing piece. One unselected piece before each window keeps it from
+  // merging with the file selection before it, so it's fetched from its own
+  // start (that piece is selected again once the window moves on).
+  for (const window of entry.criticalWindows.values()) {
+    if (window.start > 0 && !isCriticalPiece(entry, window.start - 1)) {
+      torrent.deselect(window.start - 1, window.start - 1);
+    }
+  }
+  for (const window of entry.criticalWindows.values()) {
+    torrent.select(window.start, window.end, CRITICAL_PRIORITY);
+  }
+}
+
+// Change a file's selection and/or priority on behalf of the user
+function setFileSelection(entry, fileIndex, { selected, priority }) {
+  const current = entry.fileSelections.get(fileIndex) || { selected: false, priority: 'normal' };
+  entry.fileSelections.set(fileIndex, {
+    selected: selected !== undefined ? selected : current.selected,
+    priority: priority !== undefined ? priority : current.priority,
+    auto: false
   });
+  applyFileSelections(entry);
+}
+
+// Select the file being played, unless the user already chose for it.
+// Files selected only because they were played before are dropped, so just
+// the current one downloads in the background.
+function autoSelectFile(entry, fileIndex) {
+  if (entry.fileSelections.has(fileIndex)) return;
+
+  for (const [index, selection] of entry.fileSelections) {
+    if (selection.auto) entry.fileSelections.delete(index);
+  }
+  entry.fileSelections.set(fileIndex, { selected: true, priority: 'normal', auto: true });
+  applyFileSelections(entry);
 }
 
-// Track current playback position for buffer calculation
-let currentPlaybackPosition = { fileIndex: null, bytePosition: 0 };
+// Keep a file: download it fully in the background, then move it into the
+// media directory. Pending keeps are dropped if the torrent is removed first.
+function keepFile(entry, fileIndex) {
+  const current = entry.keepFiles.get(fileIndex);
+  if (current && current.state !== 'error') return;
 
-// Prioritize pieces from a specific byte position for streaming using critical()
-function prioritizePiecesFrom(file, startByte) {
-  if (!currentTorrent || !currentTorrent.pieces) return;
+  const file = entry.torrent.files[fileIndex];
+  entry.keepFiles.set(fileIndex, { state: 'pending' });
+  setFileSelection(entry, fileIndex, { selected: true });
 
-  const pieceLength = currentTorrent.pieceLength;
+  if (file.done) {
+    moveKeptFile(entry, fileIndex);
+  } else {
+    file.once('done', () => moveKeptFile(entry, fileIndex));
+  }
+}
+
+async function moveKeptFile(entry, fileIndex) {
+  const torrent = entry.torrent;
+  if (torrents.get(torrent.infoHash) !== entry) return;
+
+  const file = torrent.files[fileIndex];
+  entry.keepFiles.set(fileIndex, { state: 'moving' });
+  try {
+    const item = await media.keep({
+      sourcePath: path.join(entry.dir, file.path),
+      infoHash: torrent.infoHash,
+      fileIndex,
+      torrentName: torrent.name,
+      filePath: file.path,
+      length: file.length
+    });
+    entry.keepFiles.set(fileIndex, { state: 'kept', id: item.id });
+    console.log(`[${torrent.infoHash.slice(0, 8)}] Kept ${file.name} as ${item.path}`);
+    broadcastEvent('kept', { infoHash: torrent.infoHash, fileIndex, item });
+  } catch (err) {
+    entry.keepFiles.set(fileIndex, { state: 'error', error: err.message });
+    console.error(`[${torrent.infoHash.slice(0, 8)}] Error keeping ${file.name}:`, err.message);
+  }
+}
+
+// Pieces in a critical window. Assumes ~5MB per 30 seconds of video at
+// decent quality (configurable).
+function getCriticalWindowPieces(torrent) {
+  return Math.min(Math.ceil(config.criticalWindowBytes / torrent.pieceLength), config.criticalMaxPieces);
+}
+
+// Prioritize pieces from a specific byte position for streaming, as a
+// selection at CRITICAL_PRIORITY.
+// Each window belongs to an owner (the player's position reports, or one
+// client's /stream reads) and replaces that owner's previous window.
+function prioritizePiecesFrom(entry, file, startByte, owner = 'playback') {
+  const torrent = entry.torrent;
+  if (!torrent.pieces) return;
+
+  const pieceLength = torrent.pieceLength;
   const fileOffset = file.offset; // Byte offset of file within torrent
   const absoluteStart = fileOffset + startByte;
   const fileEnd = fileOffset + file.length;
@@ -120,22 +609,89 @@ function prioritizePiecesFrom(file, startByte) {
   const startPiece = Math.floor(absoluteStart / pieceLength);
   const endPiece = Math.floor(fileEnd / pieceLength);
 
-  // Mark critical pieces - enough for ~30 seconds of buffer ahead
-  // Assuming ~5MB per 30 seconds of video at decent quality
-  const piecesToPrioritize = Math.min(Math.ceil(5 * 1024 * 1024 / pieceLength), 50);
+  autoSelectFile(entry, torrent.files.indexOf(file));
+  entry.lastUsedAt = Date.now();
+
+  // Mark critical pieces - enough for ~30 seconds of buffer ahead,
+  // more while recovering from a stall
+  const piecesToPrioritize = getCriticalWindowPieces(torrent) * entry.criticalBoost;
   const criticalEnd = Math.min(startPiece + piecesToPrioritize, endPiece);
 
-  // Use critical() to mark these pieces for immediate download
-  currentTorrent.critical(startPiece, criticalEnd);
+  // A window somewhere new (seek, new file) gets a fresh stall timer
+  const previous = entry.criticalWindows.get(owner);
+  if (!previous || previous.start !== startPiece) {
+    entry.criticalProgressAt = Date.now();
+  }
+
+  // Replaces the owner's previous window (e.g. before a seek); re-inserted
+  // so the most recent window comes last
+  entry.criticalWindows.delete(owner);
+  entry.criticalWindows.set(owner, { start: startPiece, end: criticalEnd, last: endPiece });
+  entry.criticalRange = { start: startPiece, end: criticalEnd };
+  applyFileSelections(entry);
+
+  console.log(`[${torrent.infoHash.slice(0, 8)}] Marked pieces ${startPiece}-${criticalEnd} as critical (${criticalEnd - startPiece + 1} pieces, ${owner})`);
+}
+
+// Stop prioritizing an owner's window; pieces other windows cover stay critical
+function releaseCriticalWindow(entry, owner) {
+  if (!entry.criticalWindows.delete(owner)) return;
+
+  const remaining = Array.from(entry.criticalWindows.values());
+  const latest = remaining[remaining.length - 1];
+  entry.criticalRange = latest ? { start: latest.start, end: latest.end } : null;
+  applyFileSelections(entry);
+}
+
+// Track a /stream read: keep a critical window just ahead of what the client
+// is reading, and release it once the client abandons the read (seek, stop).
+// Each read owns its own window, so concurrent Range reads from one client
+// (e.g. a player fetching the MP4 index at the tail) don't steal each other's.
+function trackReader(entry, req, file, fileIndex, start, stream) {
+  const torrent = entry.torrent;
+  const id = entry.nextReaderId++;
+  const owner = `stream:${id}`;
+  const reader = {
+    id,
+    client: req.ip,
+    userAgent: req.get('user-agent') || '',
+    fileIndex,
+    start,
+    position: start,
+    startedAt: Date.now()
+  };
+
+  entry.readers.set(id, reader);
+  prioritizePiecesFrom(entry, file, start, owner);
+
+  stream.on('data', (chunk) => {
+    reader.position += chunk.length;
+
+    // Slide the window forward once the reader is halfway through it
+    const window = entry.criticalWindows.get(owner);
+    if (window) {
+      const piece = Math.floor((file.offset + reader.position) / torrent.pieceLength);
+      if (piece > window.start + (window.end - window.start) / 2) {
+        prioritizePiecesFrom(entry, file, reader.position, owner);
+      }
+    }
+  });
 
-  console.log(`Marked pieces ${startPiece}-${criticalEnd} as critical (${criticalEnd - startPiece + 1} pieces)`);
+  return () => {
+    entry.readers.delete(id);
+    releaseCriticalWindow(entry, owner);
+  };
 }
 
-// Calculate how many bytes are buffered ahead from current position
-function getBufferAhead(file, currentByte) {
-  if (!currentTorrent || !currentTorrent.bitfield) return 0;
+// Calculate how much is buffered ahead of the playback position, in bytes
+// and (when the file has a keyframe index) in seconds of playback
+function getBufferAhead(entry) {
+  const torrent = entry.torrent;
+  const { fileIndex, bytePosition: currentByte, currentTime } = entry.playbackPosition;
+  const file = torrent.files[fileIndex];
+  if (!file || !torrent.bitfield) return { bytes: 0, seconds: null };
 
-  const pieceLength = currentTorrent.pieceLength;
+  const pieceLength = torrent.pieceLength;
   const fileOffset = file.offset;
   const absoluteStart = fileOffset + currentByte;
   const fileEnd = fileOffset + file.length;
@@ -145,7 +701,7 @@ function getBufferAhead(file, currentByte) {
   const endPiece = Math.floor(fileEnd / pieceLength);
 
   // Count consecutive downloaded pieces from current position
-  while (currentPiece <= endPiece && currentTorrent.bitfield.get(currentPiece)) {
+  while (currentPiece <= endPiece && torrent.bitfield.get(currentPiece)) {
     // Calculate how much of this piece belongs to our range
     const pieceStart = currentPiece * pieceLength;
     const pieceEnd = pieceStart + pieceLength;
@@ -157,281 +713,2110 @@ function getBufferAhead(file, currentByte) {
     currentPiece++;
   }
 
-  return bufferedBytes;
+  const index = getMediaIndex(entry, fileIndex);
+  const seconds = index
+    ? Math.max(0, indexByteToTime(index, currentByte + bufferedBytes, file.length) - currentTime)
+    : null;
+
+  return { bytes: bufferedBytes, seconds };
 }
 
-// Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+function isCriticalPiece(entry, index) {
+  for (const window of entry.criticalWindows.values()) {
+    if (index >= window.start && index <= window.end) return true;
+  }
+  return false;
+}
 
-// API: Get current status
-app.get('/api/status', (req, res) => {
-  if (!currentTorrent) {
-    return res.json({
-      active: false,
-      trackerCount: loadedTrackers.length
-    });
+// First piece a critical window is still waiting for, or null
+function getMissingCriticalPiece(entry) {
+  const torrent = entry.torrent;
+  for (const window of entry.criticalWindows.values()) {
+    for (let i = window.start; i <= window.end; i++) {
+      if (!torrent.bitfield.get(i)) return i;
+    }
   }
+  return null;
+}
 
-  const torrent = currentTorrent;
+// Why a stream is stalled, or null if it isn't
+function getStallReason(entry, now) {
+  const torrent = entry.torrent;
+  if (!torrent.ready || entry.readers.size === 0) return null;
 
-  // Calculate buffer ahead for current file
-  let bufferAhead = 0;
-  let pieceMap = [];
-  if (currentPlaybackPosition.fileIndex !== null && torrent.files[currentPlaybackPosition.fileIndex]) {
-    const file = torrent.files[currentPlaybackPosition.fileIndex];
-    bufferAhead = getBufferAhead(file, currentPlaybackPosition.bytePosition);
+  const missing = getMissingCriticalPiece(entry);
+  if (missing === null) return null;
 
-    // Generate piece map for current file (which pieces are downloaded)
-    const pieceLength = torrent.pieceLength;
-    const fileOffset = file.offset;
-    const fileEnd = fileOffset + file.length;
-    const startPiece = Math.floor(fileOffset / pieceLength);
-    const endPiece = Math.floor(fileEnd / pieceLength);
+  const idle = now - entry.criticalProgressAt;
+  if (torrent.numPeers < STALL_MIN_PEERS && idle > STALL_FEW_PEERS_DELAY) {
+    return torrent.numPeers === 0 ? 'no peers' : 'only 1 peer';
+  }
+  if (idle < config.stallTimeout * 1000) return null;
 
-    for (let i = startPiece; i <= endPiece; i++) {
-      pieceMap.push(torrent.bitfield ? torrent.bitfield.get(i) : false);
-    }
+  const holders = torrent.wires.filter(wire => wire.peerPieces.get(missing));
+  if (holders.length === 0) return `no peer has piece ${missing}`;
+  if (holders.every(wire => wire.peerChoking)) return `peers with piece ${missing} are choking us`;
+  return 'peers are too slow';
+}
+
+// Double every critical window, up to the end of its file
+function widenCriticalWindows(entry) {
+  for (const window of entry.criticalWindows.values()) {
+    const size = window.end - window.start + 1;
+    window.end = Math.min(window.start + size * 2 - 1, window.last);
+    entry.criticalRange = { start: window.start, end: window.end };
   }
+  applyFileSelections(entry);
+}
 
-  res.json({
-    active: true,
-    name: torrent.name,
-    infoHash: torrent.infoHash,
-    progress: torrent.progress,
-    downloaded: torrent.downloaded,
-    total: torrent.length,
-    downloadSpeed: torrent.downloadSpeed,
-    uploadSpeed: torrent.uploadSpeed,
-    numPeers: torrent.numPeers,
-    ready: torrent.ready,
-    bufferAhead: bufferAhead,
-    pieceMap: pieceMap,
-    currentPosition: currentPlaybackPosition,
-    pieceLength: torrent.pieceLength,
-    files: torrent.files.map((f, index) => ({
-      index,
-      name: f.name,
-      path: f.path,
-      length: f.length,
-      downloaded: f.downloaded,
-      progress: f.progress
-    })),
-    trackerCount: loadedTrackers.length
-  });
-});
+// Disconnect slow peers sitting on requests for critical pieces, so the
+// blocks get requested from someone else. Never leaves us without peers.
+function dropSlowPeers(entry) {
+  const torrent = entry.torrent;
+  const slow = torrent.wires.filter(wire =>
+    wire.downloadSpeed() < SLOW_PEER_SPEED &&
+    wire.requests.some(request => request && isCriticalPiece(entry, request.piece)));
+  if (slow.length === torrent.wires.length) return 0;
+
+  slow.forEach(wire => wire.destroy());
+  return slow.length;
+}
 
-// API: Add torrent
-app.post('/api/torrent', async (req, res) => {
-  const { magnetOrHash } = req.body;
+// Try to get a stalled stream going: ask trackers and the DHT for more
+// peers, widen the critical window and drop slow peers holding it up
+function recoverFromStall(entry) {
+  const torrent = entry.torrent;
+  const actions = [];
 
-  if (!magnetOrHash) {
-    return res.status(400).json({ error: 'Magnet link or hash required' });
+  const tracker = torrent.discovery && torrent.discovery.tracker;
+  if (tracker) {
+    tracker.update();
+    actions.push('re-announced');
+  }
+  if (client.dht && !torrent.private) {
+    client.dht.lookup(torrent.infoHash);
+    actions.push('DHT lookup');
   }
 
-  // Destroy existing torrent
-  await destroyCurrentTorrent();
+  if (entry.criticalBoost < STALL_MAX_BOOST) {
+    entry.criticalBoost *= 2;
+    widenCriticalWindows(entry);
+    actions.push(`critical window x${entry.criticalBoost}`);
+  }
 
-  // Normalize input - if it's just a hash, convert to magnet
-  let magnetUri = magnetOrHash.trim();
-  if (!magnetUri.startsWith('magnet:')) {
-    // Assume it's an info hash
-    magnetUri = `magnet:?xt=urn:btih:${magnetUri}`;
+  const dropped = dropSlowPeers(entry);
+  if (dropped > 0) {
+    actions.push(`dropped ${dropped} slow peer${dropped === 1 ? '' : 's'}`);
   }
 
-  // Add trackers to magnet
-  if (loadedTrackers.length > 0) {
-    const trackerParams = loadedTrackers.map(t => `&tr=${encodeURIComponent(t)}`).join('');
-    magnetUri += trackerParams;
+  entry.lastRecoveryAt = Date.now();
+  entry.stall.actions = actions;
+  console.log(`[${torrent.infoHash.slice(0, 8)}] Stalled (${entry.stall.reason}): ${actions.join(', ') || 'nothing to do'}`);
+}
+
+// Look for streams waiting on critical pieces, and recover from stalls
+// (at most every STALL_RECOVERY_INTERVAL per torrent)
+function checkStalls() {
+  const now = Date.now();
+  for (const entry of torrents.values()) {
+    if (entry.torrent.destroyed) continue;
+    const reason = getStallReason(entry, now);
+
+    if (reason) {
+      if (!entry.stall) {
+        entry.stall = { reason, since: now, actions: [] };
+      }
+      entry.stall.reason = reason;
+      if (now - entry.lastRecoveryAt >= STALL_RECOVERY_INTERVAL) {
+        recoverFromStall(entry);
+      }
+    } else if (entry.stall) {
+      console.log(`[${entry.torrent.infoHash.slice(0, 8)}] Stall cleared after ${Math.round((now - entry.stall.since) / 1000)}s`);
+      entry.stall = null;
+      entry.criticalBoost = 1;
+    }
   }
+}
 
-  try {
-    currentTorrent = client.add(magnetUri, {
-      path: TEMP_DIR,
-      strategy: 'sequential' // Sequential download for streaming
-    });
+// Merge loaded trackers into a parsed torrent's own announce list
+function withLoadedTrackers(parsed) {
+  parsed.announce = Array.from(new Set([...(parsed.announce || []), ...loadedTrackers]));
+  return parsed;
+}
 
-    currentTorrent.on('error', (err) => {
-      console.error('Torrent error:', err.message);
-    });
+// Add a torrent to the client and registry, or return the existing entry
+function registerTorrent(torrentId, infoHash) {
+  const existing = torrents.get(infoHash);
+  if (existing) return existing;
 
-    currentTorrent.on('ready', () => {
-      console.log(`Torrent ready: ${currentTorrent.name}`);
-    });
+  const dir = getTorrentDir(infoHash);
+  const torrent = client.add(torrentId, {
+    path: dir,
+    strategy: 'sequential', // Sequential download for streaming
+    deselect: !config.downloadAllFiles // files are selected when played or by the user
+  });
 
-    // Wait for metadata with timeout
-    const timeout = setTimeout(() => {
-      if (!currentTorrent.ready) {
-        res.status(408).json({ error: 'Timeout waiting for torrent metadata' });
-      }
-    }, 30000);
+  const entry = {
+    torrent,
+    dir,
+    playbackPosition: { fileIndex: null, bytePosition: 0, currentTime: 0 },
+    criticalRange: null, // most recently marked critical window
+    criticalWindows: new Map(), // owner -> { start, end } critical piece window
+    readers: new Map(), // reader id -> active /stream read
+    nextReaderId: 1,
+    mediaInfo: new Map(), // fileIndex -> ffprobe result promise
+    durations: new Map(), // fileIndex -> duration in seconds, once a probe finished
+    hlsJobs: new Map(), // "fileIndex:segment" -> segment generation promise
+    hlsPlans: new Map(), // fileIndex -> { segments, copy } promise, the playlist's cut points
+    mediaIndexes: new Map(), // fileIndex -> { index, ready } keyframe index (null if none/not ready)
+    subtitles: new Map(), // subtitle id -> WebVTT text promise
+    subtitleJobs: new Map(), // subtitle id -> { controller, waiters } running embedded extraction
+    thumbnails: new Map(), // fileIndex -> seek-preview thumbnail state
+    uploadedSubtitles: [], // { id, fileIndex, label, language, name } for user uploads
+    verifiedPieces: [], // piece indices completed since the last /api/events tick
+    fileSelections: new Map(), // fileIndex -> { selected, priority, auto } (unlisted = not selected)
+    keepFiles: new Map(), // fileIndex -> { state: 'pending' | 'moving' | 'kept' | 'error', id?, error? }
+    trackerStats: new Map(), // tracker URL -> announce/scrape results
+    trackerClient: null, // tracker client whose events are being recorded
+    criticalProgressAt: Date.now(), // last time a critical piece completed or a window moved
+    criticalBoost: 1, // critical window multiplier, raised while recovering from a stall
+    prefetch: null, // { fileIndex, start, end } first pieces of the next playlist file
+    stall: null, // { reason, since, actions } while a stream is waiting on critical pieces
+    lastRecoveryAt: 0,
+    lastUsedAt: Date.now(), // last playback or stream read, for LRU eviction
+    spaceChecked: false // disk budget checked once metadata is known
+  };
+  torrents.set(infoHash, entry);
+
+  // WebTorrent destroys the torrent on error, so drop it from the registry
+  torrent.on('error', (err) => {
+    console.error(`[${infoHash.slice(0, 8)}] Torrent error:`, err.message);
+    if (torrents.get(infoHash) === entry) {
+      torrents.delete(infoHash);
+      cleanTorrentDir(entry.dir);
+    }
+  });
 
-    currentTorrent.on('ready', () => {
-      clearTimeout(timeout);
-      res.json({
-        success: true,
-        name: currentTorrent.name,
-        infoHash: currentTorrent.infoHash,
-        files: currentTorrent.files.map((f, index) => ({
-          index,
-          name: f.name,
-          path: f.path,
-          length: f.length
-        }))
-      });
-    });
+  // Peer discovery (and with it the tracker client) starts right after the
+  // info hash is known, or once metadata is verified for .torrent files
+  torrent.once('infoHash', () => setImmediate(() => watchTrackerClient(entry)));
 
-  } catch (err) {
-    console.error('Error adding torrent:', err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+  torrent.on('ready', () => {
+    console.log(`Torrent ready: ${torrent.name}`);
+    library.upsert(torrent);
+    dlnaUpdateId++;
+    watchTrackerClient(entry);
+    scrapeTrackers([entry]).catch(err => console.error('Error scraping trackers:', err.message));
 
-// API: Delete current torrent
-app.delete('/api/torrent', async (req, res) => {
-  await destroyCurrentTorrent();
-  res.json({ success: true });
-});
+    if (config.downloadAllFiles) {
+      torrent.files.forEach((file, index) => {
+        entry.fileSelections.set(index, { selected: true, priority: 'normal', auto: false });
+      });
+    }
 
-// API: Reload trackers
-app.post('/api/trackers/reload', async (req, res) => {
-  await loadTrackers();
-  res.json({
-    success: true,
-    count: loadedTrackers.length
+    // Files that finish downloading from now on can trigger a seed boost
+    torrent.files.forEach((file) => {
+      if (!file.done) file.once('done', () => startSeedBoost(file));
+    });
   });
-});
 
-// API: Get tracker count
-app.get('/api/trackers', (req, res) => {
-  res.json({
-    count: loadedTrackers.length
+  torrent.on('verified', (index) => {
+    if (isCriticalPiece(entry, index)) {
+      entry.criticalProgressAt = Date.now();
+    }
+    // Only collected while someone is listening for them
+    if (eventClients.size > 0) {
+      entry.verifiedPieces.push(index);
+    }
   });
-});
 
-// API: Update playback position (for piece prioritization)
-app.post('/api/playback-position', (req, res) => {
-  const { fileIndex, currentTime, duration } = req.body;
+  return entry;
+}
 
-  if (!currentTorrent || !currentTorrent.ready) {
-    return res.status(404).json({ error: 'No active torrent' });
+// Whether the user asked for an active torrent's data: files selected for
+// download by hand (or downloadAllFiles) or files waiting to be kept
+function isRequestedDownload(entry) {
+  for (const selection of entry.fileSelections.values()) {
+    if (selection.selected && !selection.auto) return true;
+  }
+  for (const keep of entry.keepFiles.values()) {
+    if (keep.state === 'pending' || keep.state === 'moving') return true;
   }
+  return false;
+}
 
-  const file = currentTorrent.files[fileIndex];
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+// Torrent data in TEMP_DIR that could be evicted, least recently used first:
+// leftover data of library torrents that aren't active (kept data only with
+// evictKeptData), then active torrents nobody is streaming or downloading on
+// purpose. Anything in TEMP_DIR that isn't a library torrent is left alone.
+async function getEvictionCandidates(excludeInfoHash) {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(TEMP_DIR);
+  } catch {
+    return [];
   }
 
-  // Convert time position to byte position (approximate)
-  const bytePosition = duration > 0 ? Math.floor((currentTime / duration) * file.length) : 0;
+  const inactive = names
+    .filter(name => INFO_HASH_PATTERN.test(name) && name !== excludeInfoHash && !torrents.has(name))
+    .map(infoHash => library.get(infoHash))
+    .filter(item => item && (!item.dataKept || config.evictKeptData))
+    .map(item => ({ infoHash: item.infoHash, active: false, lastUsedAt: item.lastPlayedAt || item.addedAt }));
 
-  currentPlaybackPosition = { fileIndex, bytePosition };
+  const idle = Array.from(torrents.entries())
+    .filter(([infoHash, entry]) => infoHash !== excludeInfoHash && entry.readers.size === 0 && !isRequestedDownload(entry))
+    .map(([infoHash, entry]) => ({ infoHash, active: true, lastUsedAt: entry.lastUsedAt }));
 
-  // Prioritize pieces from this position
-  prioritizePiecesFrom(file, bytePosition);
+  const byLastUse = (a, b) => a.lastUsedAt - b.lastUsedAt;
+  return [...inactive.sort(byLastUse), ...idle.sort(byLastUse)];
+}
 
-  res.json({ success: true, bytePosition });
-});
+async function evict(candidate) {
+  console.log(`Evicting ${candidate.infoHash.slice(0, 8)} to free disk space`);
+  if (candidate.active) {
+    await destroyTorrent(candidate.infoHash, { keepData: false });
+  } else {
+    cleanTorrentDir(getTorrentDir(candidate.infoHash));
+    library.setDataKept(candidate.infoHash, false);
+  }
+}
+
+// Make room for a torrent's full length within diskBudget and minFreeSpace,
+// evicting LRU data if needed. Resolves to { ok, available }.
+async function ensureSpaceFor(entry) {
+  const torrent = entry.torrent;
+
+  const check = async () => {
+    const others = (await getDirSize(TEMP_DIR)) - (await getDirSize(entry.dir));
+    const free = await getFreeSpace(TEMP_DIR);
+    const budgetLeft = config.diskBudget ? config.diskBudget - others : Infinity;
+    const freeLeft = free !== null ? free - config.minFreeSpace + torrent.downloaded : Infinity;
+    const available = Math.min(budgetLeft, freeLeft);
+    return { ok: torrent.length <= available, available };
+  };
+
+  let result = await check();
+  if (result.ok) return result;
 
-// Stream video file
-app.get('/stream/:fileIndex', (req, res) => {
-  if (!currentTorrent || !currentTorrent.ready) {
-    return res.status(404).json({ error: 'No active torrent' });
+  for (const candidate of await getEvictionCandidates(torrent.infoHash)) {
+    await evict(candidate);
+    result = await check();
+    if (result.ok) break;
   }
+  return result;
+}
 
-  const fileIndex = parseInt(req.params.fileIndex, 10);
-  const file = currentTorrent.files[fileIndex];
+// Refresh diskStatus, evicting inactive data and pausing or resuming downloads
+async function checkDiskSpace() {
+  let used = await getDirSize(TEMP_DIR);
+  let free = await getFreeSpace(TEMP_DIR);
+  const overBudget = () => config.diskBudget > 0 && used > config.diskBudget;
+  const lowSpace = (margin = 1) => config.minFreeSpace > 0 && free !== null && free < config.minFreeSpace * margin;
+
+  // Only data of removed torrents is evicted here; active torrents are paused instead
+  if (overBudget() || lowSpace()) {
+    const candidates = (await getEvictionCandidates(null)).filter(c => !c.active);
+    for (const candidate of candidates) {
+      await evict(candidate);
+      used = await getDirSize(TEMP_DIR);
+      free = await getFreeSpace(TEMP_DIR);
+      if (!overBudget() && !lowSpace()) break;
+    }
+  }
 
-  if (!file) {
-    return res.status(404).json({ error: 'File not found' });
+  const paused = diskStatus.paused
+    ? overBudget() || lowSpace(DISK_RESUME_MARGIN)
+    : overBudget() || lowSpace();
+  if (paused !== diskStatus.paused) {
+    console.log(paused ? 'Disk budget or free space exceeded, pausing downloads' : 'Disk space available again, resuming downloads');
+  }
+  diskStatus = { used, free, paused };
+  applyRateLimits();
+}
+
+// Limits in effect now, from settings, schedule, seed boost and disk space
+function getCurrentLimits() {
+  const limits = getEffectiveLimits(limitsStore.data, new Date(), seedBoostUntil > Date.now());
+  if (diskStatus.paused) {
+    return { ...limits, download: 0, reasons: [...limits.reasons, 'disk space'] };
   }
+  return limits;
+}
 
-  const range = req.headers.range;
-  const fileSize = file.length;
+// Global download/upload rates. The one place the client's throttles are set.
+function applyRateLimits() {
+  const limits = getCurrentLimits();
+  client.throttleDownload(limits.download);
+  client.throttleUpload(limits.upload);
+}
 
-  // Get file extension for content type
-  const ext = path.extname(file.name).toLowerCase();
-  const contentTypes = {
-    '.mp4': 'video/mp4',
-    '.mkv': 'video/x-matroska',
-    '.avi': 'video/x-msvideo',
-    '.webm': 'video/webm',
-    '.mov': 'video/quicktime',
-    '.wmv': 'video/x-ms-wmv',
-    '.flv': 'video/x-flv',
-    '.m4v': 'video/x-m4v'
+// Settings and effective limits for /api/limits
+function getLimitsSummary() {
+  const current = getCurrentLimits();
+  return {
+    settings: limitsStore.data,
+    effective: { downloadLimit: current.download, uploadLimit: current.upload, reasons: current.reasons },
+    seedBoostUntil: seedBoostUntil > Date.now() ? seedBoostUntil : null
   };
-  const contentType = contentTypes[ext] || 'application/octet-stream';
+}
 
-  // Helper to handle stream with proper cleanup
-  const handleStream = (stream) => {
-    let destroyed = false;
+// Lift the upload limit for a while after a file finishes (for share ratio)
+function startSeedBoost(file) {
+  const boost = limitsStore.data.seedBoost;
+  if (!boost.enabled) return;
+  seedBoostUntil = Date.now() + boost.minutes * 60 * 1000;
+  console.log(`Finished ${file.name}, boosting uploads for ${boost.minutes} min`);
+  applyRateLimits();
+}
 
-    const cleanup = () => {
-      if (!destroyed) {
-        destroyed = true;
-        stream.destroy();
-      }
-    };
+// Wait for a torrent to become ready and reply with its file list
+async function respondWhenReady(res, entry, timeoutMs) {
+  const torrent = entry.torrent;
 
-    // Client disconnected (seek, close tab, etc) - this is normal
-    res.on('close', cleanup);
-    res.on('finish', cleanup);
+  try {
+    await waitForMetadata(torrent, timeoutMs);
+  } catch (err) {
+    if (err.timeout) return res.status(408).json({ error: err.message });
+    // Removed or failed while waiting
+    return res.status(410).json({ error: err.message });
+  }
+
+  // Torrent may have been deleted or failed while waiting
+  if (torrents.get(torrent.infoHash) !== entry) {
+    return res.status(410).json({ error: 'Torrent was removed' });
+  }
+
+  // Refuse torrents that can't fit, once the length is known
+  if (!entry.spaceChecked) {
+    entry.spaceChecked = true;
+    const space = await ensureSpaceFor(entry);
+    if (!space.ok) {
+      const item = library.get(torrent.infoHash);
+      await destroyTorrent(torrent.infoHash, { keepData: Boolean(item && item.dataKept) });
+      return res.status(507).json({
+        error: `Not enough disk space: torrent is ${formatBytes(torrent.length)}, ${formatBytes(Math.max(0, space.available))} available`
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    name: torrent.name,
+    infoHash: torrent.infoHash,
+    files: serializeFiles(entry)
+  });
+}
+
+// Loopback URL of a file's stream, used as ffmpeg/ffprobe input
+function getInternalStreamUrl(infoHash, fileIndex) {
+  const host = config.host === '0.0.0.0' || config.host === '::' ? '127.0.0.1' : config.host;
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${PORT}/stream/${infoHash}/${fileIndex}`;
+  return auth.enabled ? `${url}?${auth.signMediaQuery(infoHash, fileIndex, INTERNAL_URL_TTL)}` : url;
+}
+
+// Probe a file once per torrent and cache the result
+function getMediaInfo(entry, fileIndex) {
+  if (!entry.mediaInfo.has(fileIndex)) {
+    const promise = probeMedia(config.ffprobePath, getInternalStreamUrl(entry.torrent.infoHash, fileIndex));
+    // Don't cache failures so a later probe can retry with more data
+    promise
+      .then((info) => {
+        if (info.duration) entry.durations.set(fileIndex, info.duration);
+      })
+      .catch(() => entry.mediaInfo.delete(fileIndex));
+    entry.mediaInfo.set(fileIndex, promise);
+  }
+  return entry.mediaInfo.get(fileIndex);
+}
+
+// Read a byte range (inclusive) of a torrent file into memory
+function readFileRange(file, start, end) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.createReadStream({ start, end });
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Keyframe index (MP4 sample tables / MKV cues) for a file, or null.
+// Built in the background on first use; null until it's ready.
+function getMediaIndex(entry, fileIndex) {
+  const cached = entry.mediaIndexes.get(fileIndex);
+  if (cached) return cached.index;
+
+  const file = entry.torrent.files[fileIndex];
+  const state = { index: null, ready: null };
+  entry.mediaIndexes.set(fileIndex, state);
+
+  state.ready = buildMediaIndex((start, end) => readFileRange(file, start, end), file.length, path.extname(file.name).toLowerCase())
+    .then((index) => {
+      state.index = index;
+      if (index) {
+        console.log(`[${entry.torrent.infoHash.slice(0, 8)}] ${index.type} index for ${file.name}: ${index.points.length} keyframes`);
+      }
+      return index;
+    })
+    .catch((err) => {
+      console.error(`Media index failed for ${file.name}:`, err.message);
+      return null;
+    });
+
+  return null;
+}
+
+// Resolves to the keyframe index once it's built (null if there's none)
+function waitForMediaIndex(entry, fileIndex) {
+  getMediaIndex(entry, fileIndex);
+  return entry.mediaIndexes.get(fileIndex).ready;
+}
+
+// Convert a time position to a byte position, using the keyframe index
+// when there is one and a linear estimate otherwise
+function timeToByte(entry, fileIndex, time, duration) {
+  const file = entry.torrent.files[fileIndex];
+  const index = getMediaIndex(entry, fileIndex);
+  if (index) return indexTimeToByte(index, time);
+
+  if (!(duration > 0)) return 0;
+  return Math.floor(Math.min(Math.max(time / duration, 0), 1) * file.length);
+}
+
+// Cache directory for a file's HLS segments (removed with the torrent)
+function getHlsDir(entry, fileIndex) {
+  return path.join(entry.dir, '.hls', String(fileIndex));
+}
+
+// HLS cut points for a file, fixed on first use so the playlist and the
+// cached segments agree. With a keyframe index segments start on keyframes
+// and are copied; without one they're fixed-length and re-encoded.
+function getHlsPlan(entry, fileIndex, duration) {
+  if (entry.hlsPlans.has(fileIndex)) return entry.hlsPlans.get(fileIndex);
+
+  const plan = waitForMediaIndex(entry, fileIndex).then((index) => {
+    if (!index) return { segments: buildFixedSegments(duration, config.hlsSegmentDuration), copy: false };
+    const times = index.points.map(point => point.time);
+    return { segments: buildKeyframeSegments(times, duration, config.hlsSegmentDuration), copy: true };
+  });
+  entry.hlsPlans.set(fileIndex, plan);
+  return plan;
+}
+
+// Get a cached HLS segment, generating it with ffmpeg if needed
+function getHlsSegment(entry, fileIndex, index, plan) {
+  const dir = getHlsDir(entry, fileIndex);
+  const outputPath = path.join(dir, `${index}.ts`);
+  if (fs.existsSync(outputPath)) return Promise.resolve(outputPath);
+
+  // Share in-flight generation between concurrent requests
+  const key = `${fileIndex}:${index}`;
+  if (entry.hlsJobs.has(key)) return entry.hlsJobs.get(key);
+
+  fs.mkdirSync(dir, { recursive: true });
+  const { start, length } = plan.segments[index];
+  const inputUrl = getInternalStreamUrl(entry.torrent.infoHash, fileIndex);
+
+  const job = generateSegment(config.ffmpegPath, inputUrl, { start, length, outputPath, copy: plan.copy })
+    .finally(() => entry.hlsJobs.delete(key));
+  entry.hlsJobs.set(key, job);
+  return job;
+}
+
+// Cache directory for a file's thumbnail tiles and sprite (removed with the torrent)
+function getThumbnailDir(entry, fileIndex) {
+  return path.join(entry.dir, '.thumbs', String(fileIndex));
+}
+
+// Whether the pieces covering bytes [start, end] of a file are downloaded
+function hasFileBytes(torrent, file, start, end) {
+  const first = Math.floor((file.offset + start) / torrent.pieceLength);
+  const last = Math.floor((file.offset + Math.min(end, file.length - 1)) / torrent.pieceLength);
+  for (let i = first; i <= last; i++) {
+    if (!torrent.bitfield.get(i)) return false;
+  }
+  return true;
+}
+
+// Whether ffmpeg can grab thumbnail `index` from what's on disk: the file
+// header plus the data from the keyframe before its time. MP4/MKV files wait
+// for the keyframe index (or for the whole file if it can't be built).
+function canExtractThumbnail(entry, fileIndex, state, index) {
+  const torrent = entry.torrent;
+  const file = torrent.files[fileIndex];
+  if (file.done) return true;
+
+  const indexed = INDEXED_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+  if (indexed && !getMediaIndex(entry, fileIndex)) return false;
+
+  const time = getThumbnailTime(state.layout, index, state.duration);
+  const position = timeToByte(entry, fileIndex, time, state.duration);
+  return hasFileBytes(torrent, file, 0, THUMBNAIL_HEAD_BYTES - 1) &&
+    hasFileBytes(torrent, file, position, position + THUMBNAIL_READ_BYTES - 1);
+}
+
+// Re-encode the sprite from every tile generated so far
+async function updateSprite(entry, fileIndex, state) {
+  const dir = getThumbnailDir(entry, fileIndex);
+  const tiles = new Map();
+  for (const index of state.tiles) {
+    tiles.set(index, await fs.promises.readFile(path.join(dir, `${index}.rgb`)));
+  }
+  await writeSprite(config.ffmpegPath, state.layout, tiles, path.join(dir, 'sprite.jpg'));
+
+  // The VTT track only points at tiles that are in the sprite
+  state.spriteTiles = Array.from(tiles.keys());
+  state.version++;
+}
+
+// Generate the thumbnails whose data arrived since the last pass. Frames are
+// read straight from the downloaded file (not through /stream), so this never
+// asks for pieces; missing regions fill in on later passes.
+async function updateThumbnails(entry, fileIndex, state) {
+  const torrent = entry.torrent;
+  const file = torrent.files[fileIndex];
+  if (state.running || file.downloaded === state.checkedDownloaded) return;
+  state.running = true;
+
+  try {
+    if (!state.layout) {
+      const info = await getMediaInfo(entry, fileIndex);
+      if (!info.duration) return;
+      state.duration = info.duration;
+      state.layout = getThumbnailLayout(info.duration, config.thumbnailInterval);
+    }
+    state.checkedDownloaded = file.downloaded;
+
+    const dir = getThumbnailDir(entry, fileIndex);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const inputPath = path.join(entry.dir, file.path);
+    let added = 0;
+
+    for (let index = 0; index < state.layout.count; index++) {
+      if (torrents.get(torrent.infoHash) !== entry) return;
+      if (state.tiles.has(index) || (state.attempts.get(index) || 0) >= THUMBNAIL_MAX_ATTEMPTS) continue;
+      if (!canExtractThumbnail(entry, fileIndex, state, index)) continue;
+
+      try {
+        const tile = await extractThumbnail(config.ffmpegPath, inputPath, getThumbnailTime(state.layout, index, state.duration));
+        // Tiles are kept on disk rather than in memory until the sprite is built
+        await fs.promises.writeFile(path.join(dir, `${index}.rgb`), tile);
+        state.tiles.add(index);
+        added++;
+      } catch (err) {
+        state.attempts.set(index, (state.attempts.get(index) || 0) + 1);
+      }
+
+      // Long passes show progress along the way
+      if (added >= THUMBNAIL_SPRITE_BATCH) {
+        await updateSprite(entry, fileIndex, state);
+        added = 0;
+      }
+    }
+
+    if (added > 0) {
+      await updateSprite(entry, fileIndex, state);
+      console.log(`[${torrent.infoHash.slice(0, 8)}] Thumbnails for ${file.name}: ${state.tiles.size}/${state.layout.count}`);
+    }
+  } finally {
+    state.running = false;
+  }
+}
+
+// Start or keep up thumbnail generation for a file being played
+function requestThumbnails(entry, fileIndex) {
+  if (!ffmpegAvailable || !ffprobeAvailable || config.thumbnailInterval === 0) return;
+  if (!isVideoFile(entry.torrent.files[fileIndex].name)) return;
+
+  let state = entry.thumbnails.get(fileIndex);
+  if (!state) {
+    state = {
+      layout: null,
+      duration: null,
+      tiles: new Set(), // indices with a tile on disk
+      spriteTiles: [], // indices in the current sprite
+      attempts: new Map(), // index -> failed extractions
+      version: 0, // bumped whenever the sprite is rewritten
+      running: false,
+      checkedDownloaded: -1, // file.downloaded at the last pass
+      requestedAt: 0
+    };
+    entry.thumbnails.set(fileIndex, state);
+  }
+  state.requestedAt = Date.now();
+
+  updateThumbnails(entry, fileIndex, state).catch((err) => {
+    console.error(`Thumbnails failed for ${entry.torrent.files[fileIndex].name}:`, err.message);
+  });
+}
+
+// Pick up pieces that arrived for recently played files, even while paused
+function checkThumbnails() {
+  const now = Date.now();
+  for (const entry of torrents.values()) {
+    if (entry.torrent.destroyed) continue;
+    for (const [fileIndex, state] of entry.thumbnails) {
+      if (now - state.requestedAt > THUMBNAIL_IDLE_TIMEOUT) continue;
+      updateThumbnails(entry, fileIndex, state).catch((err) => {
+        console.error(`Thumbnails failed for ${entry.torrent.files[fileIndex].name}:`, err.message);
+      });
+    }
+  }
+}
+
+function isVideoFile(filename) {
+  return Boolean(VIDEO_CONTENT_TYPES[path.extname(filename).toLowerCase()]);
+}
+
+// Video file indices of a torrent in playlist order (natural sort by path)
+function getPlaylist(entry) {
+  return entry.torrent.files
+    .map((file, index) => ({ path: file.path, index }))
+    .filter(item => isVideoFile(item.path))
+    .sort((a, b) => naturalCollator.compare(a.path, b.path))
+    .map(item => item.index);
+}
+
+// Near the end of a file, fetch the start of the next one in the playlist so
+// switching to it is instant. Anywhere else, any earlier prefetch is dropped.
+function updatePrefetch(entry, fileIndex, currentTime, duration) {
+  const torrent = entry.torrent;
+  const nearEnd = duration > 0 && duration - currentTime <= PREFETCH_NEXT_LEAD;
+  const playlist = getPlaylist(entry);
+  const position = playlist.indexOf(fileIndex);
+  const next = nearEnd && position !== -1 ? torrent.files[playlist[position + 1]] : null;
+
+  if (!next || next.done) {
+    if (entry.prefetch) {
+      entry.prefetch = null;
+      applyFileSelections(entry);
+    }
+    return;
+  }
+
+  const nextIndex = playlist[position + 1];
+  if (entry.prefetch && entry.prefetch.fileIndex === nextIndex) return;
+
+  const start = Math.floor(next.offset / torrent.pieceLength);
+  const end = Math.min(
+    start + getCriticalWindowPieces(torrent) - 1,
+    Math.floor((next.offset + next.length - 1) / torrent.pieceLength)
+  );
+  entry.prefetch = { fileIndex: nextIndex, start, end };
+  applyFileSelections(entry);
+  console.log(`[${torrent.infoHash.slice(0, 8)}] Prefetching pieces ${start}-${end} of ${next.name}`);
+}
+
+// Read a (small) torrent file fully into memory
+function readTorrentFile(file) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.createReadStream();
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Subtitle ids: "s<fileIndex>" for sidecar files, "e<videoIndex>-<streamIndex>" for embedded tracks,
+// "u<n>" for uploads (already converted and cached when uploaded)
+function parseSubtitleId(id) {
+  let m = /^s(\d+)$/.exec(id);
+  if (m) return { type: 'sidecar', fileIndex: parseInt(m[1], 10) };
+  m = /^e(\d+)-(\d+)$/.exec(id);
+  if (m) return { type: 'embedded', fileIndex: parseInt(m[1], 10), streamIndex: parseInt(m[2], 10) };
+  return null;
+}
+
+// Load a subtitle as WebVTT, caching the converted text per torrent.
+// Embedded tracks run ffmpeg over the whole file, so they're only extracted
+// when a client asks for one (see entry.subtitleJobs for stopping it).
+function getSubtitleVtt(entry, id) {
+  if (entry.subtitles.has(id)) return entry.subtitles.get(id);
+
+  const parsed = parseSubtitleId(id);
+  const file = parsed && entry.torrent.files[parsed.fileIndex];
+  if (!file) return null;
+
+  let promise;
+  if (parsed.type === 'sidecar') {
+    if (!isSubtitleFile(file.name)) return null;
+    promise = readTorrentFile(file).then(buffer =>
+      toVtt(decodeSubtitle(buffer, config.subtitleFallbackEncoding), path.extname(file.name))
+    );
+  } else {
+    if (!ffmpegAvailable) return null;
+    const inputUrl = getInternalStreamUrl(entry.torrent.infoHash, parsed.fileIndex);
+    const controller = new AbortController();
+    promise = extractEmbeddedSubtitle(config.ffmpegPath, inputUrl, parsed.streamIndex, {
+      timeoutMs: SUBTITLE_EXTRACT_TIMEOUT,
+      signal: controller.signal
+    });
+    entry.subtitleJobs.set(id, { controller, waiters: 0 });
+    promise.catch(() => {}).finally(() => entry.subtitleJobs.delete(id));
+  }
+
+  // Failures are retried after a while; an extraction stopped because every
+  // client left is retried on the next request
+  const forget = () => {
+    if (entry.subtitles.get(id) === promise) entry.subtitles.delete(id);
+  };
+  promise.catch((err) => {
+    if (err.name === 'AbortError') {
+      forget();
+    } else {
+      setTimeout(forget, SUBTITLE_FAILURE_TTL);
+    }
+  });
+  entry.subtitles.set(id, promise);
+  return promise;
+}
+
+// File list as returned to the client
+function serializeFiles(entry) {
+  const torrent = entry.torrent;
+  return torrent.files.map((f, index) => ({
+    index,
+    name: f.name,
+    path: f.path,
+    length: f.length,
+    downloaded: f.downloaded,
+    progress: f.progress,
+    watch: library.getProgress(torrent.infoHash, index),
+    selected: Boolean(entry.fileSelections.get(index) && entry.fileSelections.get(index).selected),
+    priority: entry.fileSelections.has(index) ? entry.fileSelections.get(index).priority : 'normal',
+    keep: entry.keepFiles.get(index) || null
+  }));
+}
+
+// Short summary of a torrent for listings
+function getTorrentSummary(entry) {
+  const torrent = entry.torrent;
+  return {
+    infoHash: torrent.infoHash,
+    name: torrent.name,
+    ready: torrent.ready,
+    progress: torrent.progress,
+    total: torrent.length,
+    downloadSpeed: torrent.downloadSpeed,
+    numPeers: torrent.numPeers
+  };
+}
+
+// Middleware
+app.use(express.json());
+
+// Require a session cookie or API token, except for the login page and for
+// /stream, /hls and playlist URLs carrying a valid signature (for external players).
+// DLNA clients can't log in, so with `dlna` on its endpoints are open to the LAN.
+app.use((req, res, next) => {
+  if (!auth.enabled || PUBLIC_PATHS.includes(req.path)) return next();
+  if (config.dlna && req.path.startsWith('/dlna/')) return next();
+
+  req.user = auth.authenticate(req);
+  if (req.user) return next();
+
+  const mediaMatch = /^\/(?:stream|hls)\/([^/]+)\/(\d+)(?:\/|$)/.exec(req.path);
+  if (mediaMatch && auth.verifyMediaSignature(mediaMatch[1].toLowerCase(), Number(mediaMatch[2]), req.query.exp, req.query.sig)) {
+    req.user = { type: 'signed' };
+    req.mediaSignature = `exp=${req.query.exp}&sig=${req.query.sig}`;
+    return next();
+  }
+
+  const infoHash = typeof req.query.infoHash === 'string' ? req.query.infoHash.toLowerCase() : null;
+  if (/^\/playlist\.(?:m3u|xspf)$/.test(req.path) && auth.verifyPlaylistSignature(infoHash, req.query.exp, req.query.sig)) {
+    req.user = { type: 'signed' };
+    return next();
+  }
+
+  if (req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'))) {
+    return res.redirect('/login.html');
+  }
+  res.status(401).json({ error: 'Authentication required' });
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Resolve :infoHash route params to a registered torrent
+app.param('infoHash', (req, res, next, infoHash) => {
+  const entry = torrents.get(infoHash.toLowerCase());
+  if (!entry) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+  req.entry = entry;
+  next();
+});
+
+// Validate :hash route params (library entries, which may not be active)
+app.param('hash', (req, res, next, hash) => {
+  const infoHash = hash.toLowerCase();
+  if (!INFO_HASH_PATTERN.test(infoHash)) {
+    return res.status(400).json({ error: 'Invalid info hash' });
+  }
+  req.infoHash = infoHash;
+  next();
+});
+
+// Resolve :fileIndex route params to a file of the (ready) torrent
+app.param('fileIndex', (req, res, next, value) => {
+  const torrent = req.entry.torrent;
+  if (!torrent.ready) {
+    return res.status(409).json({ error: 'Torrent not ready' });
+  }
+
+  const fileIndex = parseInt(value, 10);
+  const file = torrent.files[fileIndex];
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  req.fileIndex = fileIndex;
+  req.torrentFile = file;
+  next();
+});
+
+// API: Get server status
+app.get('/api/status', (req, res) => {
+  res.json({
+    torrentCount: torrents.size,
+    trackerCount: loadedTrackers.length,
+    ffmpeg: ffmpegAvailable,
+    ffprobe: ffprobeAvailable,
+    disk: getDiskSummary()
+  });
+});
+
+// API: Connected peers of every active torrent, or of one with ?infoHash=
+app.get('/api/peers', (req, res) => {
+  let entries = Array.from(torrents.values());
+  if (typeof req.query.infoHash === 'string') {
+    const entry = torrents.get(req.query.infoHash.toLowerCase());
+    if (!entry) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    entries = [entry];
+  }
+
+  res.json({
+    peers: entries.flatMap(entry => getConnectedPeers(entry.torrent)
+      .map(peer => ({ infoHash: entry.torrent.infoHash, ...peer })))
+  });
+});
+
+// API: List active torrents
+app.get('/api/torrents', (req, res) => {
+  res.json({
+    torrents: Array.from(torrents.values()).map(getTorrentSummary)
+  });
+});
+
+// Disk usage for status responses
+function getDiskSummary() {
+  return {
+    used: diskStatus.used,
+    free: diskStatus.free,
+    budget: config.diskBudget || null,
+    minFreeSpace: config.minFreeSpace || null,
+    paused: diskStatus.paused
+  };
+}
+
+// Status of one torrent. Without `full`, the piece map, file list and
+// stream list are left out (used for the per-second /api/events updates).
+function getTorrentStatus(entry, { full = true } = {}) {
+  const torrent = entry.torrent;
+  const playbackPosition = entry.playbackPosition;
+
+  // Calculate buffer ahead for current file
+  let bufferAhead = { bytes: 0, seconds: null };
+  let mediaIndex = null;
+  let pieceMap = [];
+  let pieceMapStart = 0;
+  let thumbnails = null;
+  if (playbackPosition.fileIndex !== null && torrent.files[playbackPosition.fileIndex]) {
+    const file = torrent.files[playbackPosition.fileIndex];
+    bufferAhead = getBufferAhead(entry);
+
+    const index = getMediaIndex(entry, playbackPosition.fileIndex);
+    mediaIndex = index ? index.type : null;
+
+    // Preview thumbnails generated so far (the client reloads them when `version` changes)
+    const thumbnailState = entry.thumbnails.get(playbackPosition.fileIndex);
+    if (thumbnailState && thumbnailState.version > 0) {
+      thumbnails = {
+        fileIndex: playbackPosition.fileIndex,
+        version: thumbnailState.version,
+        count: thumbnailState.spriteTiles.length,
+        total: thumbnailState.layout.count
+      };
+    }
+
+    // Generate piece map for current file (which pieces are downloaded)
+    const pieceLength = torrent.pieceLength;
+    const fileOffset = file.offset;
+    const fileEnd = fileOffset + file.length;
+    const startPiece = Math.floor(fileOffset / pieceLength);
+    const endPiece = Math.floor(fileEnd / pieceLength);
+    pieceMapStart = startPiece;
+
+    if (full) {
+      for (let i = startPiece; i <= endPiece; i++) {
+        pieceMap.push(torrent.bitfield ? torrent.bitfield.get(i) : false);
+      }
+    }
+  }
+
+  const status = {
+    active: true,
+    name: torrent.name,
+    infoHash: torrent.infoHash,
+    progress: torrent.progress,
+    downloaded: torrent.downloaded,
+    total: torrent.length,
+    downloadSpeed: torrent.downloadSpeed,
+    uploadSpeed: torrent.uploadSpeed,
+    numPeers: torrent.numPeers,
+    ready: torrent.ready,
+    bufferAhead: bufferAhead.bytes,
+    bufferAheadSeconds: bufferAhead.seconds,
+    mediaIndex: mediaIndex,
+    currentPosition: playbackPosition,
+    criticalRange: entry.criticalRange,
+    pieceLength: torrent.pieceLength,
+    pieceMapFileIndex: playbackPosition.fileIndex,
+    pieceMapStart: pieceMapStart,
+    stall: entry.stall,
+    prefetch: entry.prefetch,
+    thumbnails: thumbnails,
+    disk: getDiskSummary(),
+    trackerCount: loadedTrackers.length
+  };
+  if (!full) return status;
+
+  return {
+    ...status,
+    pieceMap: pieceMap,
+    activeStreams: Array.from(entry.readers.values()).map(r => ({
+      client: r.client,
+      userAgent: r.userAgent,
+      fileIndex: r.fileIndex,
+      start: r.start,
+      position: r.position,
+      startedAt: r.startedAt
+    })),
+    files: torrent.ready ? serializeFiles(entry) : []
+  };
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send one event to every /api/events client
+function broadcastEvent(event, data) {
+  for (const eventClient of eventClients) {
+    sendEvent(eventClient.res, event, data);
+  }
+}
+
+// Push torrent list, stats and newly verified pieces to /api/events clients
+function broadcastEvents() {
+  const summaries = Array.from(torrents.values()).map(getTorrentSummary);
+  const stats = new Map();
+
+  for (const [infoHash, entry] of torrents) {
+    const watched = Array.from(eventClients).some(c => c.infoHash === infoHash);
+    stats.set(infoHash, watched ? getTorrentStatus(entry, { full: false }) : null);
+  }
+
+  for (const eventClient of eventClients) {
+    sendEvent(eventClient.res, 'torrents', { torrents: summaries });
+
+    if (!eventClient.infoHash) continue;
+    const entry = torrents.get(eventClient.infoHash);
+    if (!entry) {
+      sendEvent(eventClient.res, 'removed', { infoHash: eventClient.infoHash });
+      eventClient.infoHash = null;
+      continue;
+    }
+
+    sendEvent(eventClient.res, 'stats', stats.get(eventClient.infoHash));
+    if (entry.verifiedPieces.length > 0) {
+      sendEvent(eventClient.res, 'pieces', { infoHash: eventClient.infoHash, pieces: entry.verifiedPieces });
+    }
+  }
+
+  for (const entry of torrents.values()) {
+    entry.verifiedPieces = [];
+  }
+}
+
+// API: Get status of one torrent
+app.get('/api/torrents/:infoHash/status', (req, res) => {
+  res.json(getTorrentStatus(req.entry));
+});
+
+// API: Push channel (Server-Sent Events). Sends the torrent list every second and,
+// with ?infoHash=, a full snapshot of that torrent followed by per-second stats
+// and the indices of newly completed pieces.
+app.get('/api/events', (req, res) => {
+  const infoHash = typeof req.query.infoHash === 'string' ? req.query.infoHash.toLowerCase() : null;
+  const entry = infoHash ? torrents.get(infoHash) : null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let reverse proxies buffer the stream
+  });
+  res.write('retry: 3000\n\n');
+
+  const eventClient = { res, infoHash: entry ? infoHash : null };
+  eventClients.add(eventClient);
+
+  sendEvent(res, 'torrents', { torrents: Array.from(torrents.values()).map(getTorrentSummary) });
+  if (entry) {
+    sendEvent(res, 'snapshot', getTorrentStatus(entry));
+  } else if (infoHash) {
+    sendEvent(res, 'removed', { infoHash });
+  }
+
+  if (!eventTimer) {
+    eventTimer = setInterval(broadcastEvents, 1000);
+  }
+
+  req.on('close', () => {
+    eventClients.delete(eventClient);
+    if (eventClients.size === 0) {
+      clearInterval(eventTimer);
+      eventTimer = null;
+    }
+  });
+});
+
+// API: Add torrent
+app.post('/api/torrents', async (req, res) => {
+  const { magnetOrHash } = req.body;
+
+  if (!magnetOrHash) {
+    return res.status(400).json({ error: 'Magnet link or hash required' });
+  }
+
+  // Normalize input - if it's just a hash, convert to magnet
+  let magnetUri = magnetOrHash.trim();
+  if (!magnetUri.startsWith('magnet:')) {
+    // Assume it's an info hash
+    magnetUri = `magnet:?xt=urn:btih:${magnetUri}`;
+  }
+
+  let infoHash;
+  try {
+    infoHash = (await parseTorrent(magnetUri)).infoHash;
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid magnet link or hash' });
+  }
+
+  // Add trackers to magnet
+  if (loadedTrackers.length > 0) {
+    const trackerParams = loadedTrackers.map(t => `&tr=${encodeURIComponent(t)}`).join('');
+    magnetUri += trackerParams;
+  }
+
+  const entry = registerTorrent(magnetUri, infoHash);
+
+  // Wait for metadata with timeout
+  await respondWhenReady(res, entry, config.metadataTimeout);
+});
+
+// API: Add torrent from an uploaded .torrent file
+app.post('/api/torrents/upload', upload.single('torrent'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Torrent file required' });
+  }
+
+  let parsed;
+  try {
+    parsed = await parseTorrent(req.file.buffer);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid torrent file' });
+  }
+
+  if (!parsed.info) {
+    return res.status(400).json({ error: 'Torrent file has no metadata' });
+  }
+
+  const entry = registerTorrent(withLoadedTrackers(parsed), parsed.infoHash);
+
+  // Metadata is already known, so there is no metadata timeout
+  await respondWhenReady(res, entry);
+});
+
+// API: Delete a torrent (?keepData=true keeps downloaded files for resuming)
+app.delete('/api/torrents/:infoHash', async (req, res) => {
+  const keepData = req.query.keepData !== undefined
+    ? ['1', 'true', 'yes'].includes(String(req.query.keepData).toLowerCase())
+    : config.keepDownloads;
+  await destroyTorrent(req.entry.torrent.infoHash, { keepData });
+  res.json({ success: true });
+});
+
+// API: Keep every file of a torrent (download fully, then move to the media directory)
+app.post('/api/torrents/:infoHash/keep', (req, res) => {
+  const entry = req.entry;
+  if (!entry.torrent.ready) {
+    return res.status(409).json({ error: 'Torrent not ready' });
+  }
+  entry.torrent.files.forEach((file, index) => {
+    if (file.length > 0) keepFile(entry, index);
+  });
+  res.json({ success: true, files: serializeFiles(entry) });
+});
+
+// API: Keep one file
+app.post('/api/torrents/:infoHash/files/:fileIndex/keep', (req, res) => {
+  keepFile(req.entry, req.fileIndex);
+  res.json(serializeFiles(req.entry)[req.fileIndex]);
+});
+
+// API: Files kept in the media directory
+app.get('/api/media', (req, res) => {
+  res.json({ items: media.list() });
+});
+
+// API: Forget a kept file (?deleteFile=true also deletes it from disk)
+app.delete('/api/media/:id', (req, res) => {
+  const deleteFile = ['1', 'true', 'yes'].includes(String(req.query.deleteFile).toLowerCase());
+  if (!media.remove(req.params.id, { deleteFile })) {
+    return res.status(404).json({ error: 'Kept file not found' });
+  }
+  res.json({ success: true });
+});
+
+// Serve a kept file (with range support) even after its torrent is removed
+app.get('/media/:id', (req, res) => {
+  const item = media.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Kept file not found' });
+  }
+  res.sendFile(media.getFilePath(item), { dotfiles: 'allow' }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 404).json({ error: 'Kept file is missing' });
+    }
+  });
+});
+
+// API: Previously added torrents
+app.get('/api/library', (req, res) => {
+  res.json({
+    torrents: library.list().map(item => ({
+      ...item,
+      active: torrents.has(item.infoHash)
+    }))
+  });
+});
+
+// API: Re-add a library torrent (from its saved .torrent file when there is one)
+app.post('/api/library/:hash/add', async (req, res) => {
+  const item = library.get(req.infoHash);
+  if (!item) {
+    return res.status(404).json({ error: 'Not in library' });
+  }
+
+  let torrentId = null;
+  const torrentFile = library.readTorrentFile(item.infoHash);
+  if (torrentFile) {
+    try {
+      torrentId = withLoadedTrackers(await parseTorrent(torrentFile));
+    } catch (err) {
+      console.error('Saved torrent file is invalid:', err.message);
+    }
+  }
+  if (!torrentId) {
+    try {
+      torrentId = withLoadedTrackers(await parseTorrent(item.magnet));
+    } catch (err) {
+      return res.status(422).json({ error: 'Saved magnet link is invalid' });
+    }
+  }
+
+  const entry = registerTorrent(torrentId, item.infoHash);
+  await respondWhenReady(res, entry, torrentId.info ? undefined : config.metadataTimeout);
+});
+
+// API: Saved playback progress per file, keyed by file index
+app.get('/api/library/:hash/progress', (req, res) => {
+  if (!library.get(req.infoHash)) {
+    return res.status(404).json({ error: 'Not in library' });
+  }
+  res.json({ files: library.getAllProgress(req.infoHash) });
+});
+
+// API: Forget a file's progress (marks it unwatched)
+app.delete('/api/library/:hash/progress/:index', (req, res) => {
+  if (!library.clearProgress(req.infoHash, parseInt(req.params.index, 10))) {
+    return res.status(404).json({ error: 'No progress saved' });
+  }
+  res.json({ success: true });
+});
+
+// API: Forget a library torrent, removing kept data if it isn't active
+app.delete('/api/library/:hash', (req, res) => {
+  const infoHash = req.infoHash;
+  if (!library.remove(infoHash)) {
+    return res.status(404).json({ error: 'Not in library' });
+  }
+  if (!torrents.has(infoHash)) {
+    cleanTorrentDir(getTorrentDir(infoHash));
+  }
+  res.json({ success: true });
+});
+
+// API: Whether login is required and whether this client is logged in
+app.get('/api/auth', (req, res) => {
+  const user = auth.enabled ? auth.authenticate(req) : null;
+  res.json({ enabled: auth.enabled, authenticated: !auth.enabled || Boolean(user) });
+});
+
+// API: Log in with the server password, setting the session cookie
+app.post('/api/login', async (req, res) => {
+  if (!auth.enabled) {
+    return res.json({ success: true });
+  }
+  if (!auth.checkPassword(req.body && req.body.password)) {
+    // Slow down password guessing
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return res.status(401).json({ error: 'Wrong password' });
+  }
+  res.set('Set-Cookie', auth.getSessionCookie(req));
+  res.json({ success: true });
+});
+
+app.post('/api/logout', (req, res) => {
+  res.set('Set-Cookie', auth.getLogoutCookie());
+  res.json({ success: true });
+});
+
+// Token management is only for password (session) logins
+function requireSession(req, res, next) {
+  if (auth.enabled && (!req.user || req.user.type !== 'session')) {
+    return res.status(403).json({ error: 'Log in with the password to manage API tokens' });
+  }
+  next();
+}
+
+// API: List API tokens (without their secret values)
+app.get('/api/tokens', requireSession, (req, res) => {
+  res.json({ tokens: auth.listTokens() });
+});
+
+// API: Create an API token for a user or app; the token is only shown once
+app.post('/api/tokens', requireSession, (req, res) => {
+  const name = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'Token name required' });
+  }
+  res.status(201).json(auth.createToken(name));
+});
+
+app.delete('/api/tokens/:id', requireSession, (req, res) => {
+  if (!auth.revokeToken(req.params.id)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true });
+});
+
+// API: Signed stream and HLS links for external players that can't send cookies
+app.get('/api/torrents/:infoHash/files/:fileIndex/links', (req, res) => {
+  const infoHash = req.entry.torrent.infoHash;
+  const query = auth.enabled ? `?${auth.signMediaQuery(infoHash, req.fileIndex)}` : '';
+  const playlistQuery = `?infoHash=${infoHash}${auth.enabled ? `&${auth.signPlaylistQuery(infoHash)}` : ''}`;
+  res.json({
+    stream: `/stream/${infoHash}/${req.fileIndex}${query}`,
+    hls: `/hls/${infoHash}/${req.fileIndex}/index.m3u8${query}`,
+    m3u: `/playlist.m3u${playlistQuery}`,
+    xspf: `/playlist.xspf${playlistQuery}`,
+    expiresAt: auth.enabled ? Date.now() + config.streamUrlTtl * 1000 : null
+  });
+});
+
+// Torrent a playlist is for: ?infoHash=, else the one played or streamed most recently
+function getPlaylistEntry(req) {
+  if (typeof req.query.infoHash === 'string') {
+    return torrents.get(req.query.infoHash.toLowerCase()) || null;
+  }
+  return Array.from(torrents.values())
+    .filter(entry => entry.torrent.ready)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)[0] || null;
+}
+
+// Absolute stream URL for players on other devices, signed when login is on
+function getExternalStreamUrl(req, infoHash, fileIndex) {
+  const query = auth.enabled ? `?${auth.signMediaQuery(infoHash, fileIndex)}` : '';
+  return `${req.protocol}://${req.get('host')}/stream/${infoHash}/${fileIndex}${query}`;
+}
+
+// Duration of a file in seconds if known (probed, or reported by the player), else null
+function getKnownDuration(entry, fileIndex) {
+  const progress = library.getProgress(entry.torrent.infoHash, fileIndex);
+  return entry.durations.get(fileIndex) || (progress ? progress.duration : null);
+}
+
+// Every video file of a torrent in playlist order, with absolute stream URLs
+// and durations where known
+function getPlaylistItems(req, entry) {
+  const torrent = entry.torrent;
+  return getPlaylist(entry).map((fileIndex) => {
+    const file = torrent.files[fileIndex];
+    return {
+      title: path.basename(file.name, path.extname(file.name)),
+      location: getExternalStreamUrl(req, torrent.infoHash, fileIndex),
+      duration: getKnownDuration(entry, fileIndex)
+    };
+  });
+}
+
+// Playlists of a torrent's video files for external players (VLC, mpv, TV boxes)
+app.get('/playlist.:format', (req, res) => {
+  const format = req.params.format;
+  if (format !== 'm3u' && format !== 'xspf') {
+    return res.status(404).json({ error: 'Unknown playlist format' });
+  }
+
+  const entry = getPlaylistEntry(req);
+  if (!entry) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+  if (!entry.torrent.ready) {
+    return res.status(409).json({ error: 'Torrent not ready' });
+  }
+
+  const items = getPlaylistItems(req, entry);
+  const name = entry.torrent.name || entry.torrent.infoHash;
+  res.set('Content-Disposition', contentDisposition(`${name}.${format}`, 'attachment'));
+  if (format === 'm3u') {
+    res.type('audio/x-mpegurl').send(buildM3u(items));
+  } else {
+    res.type('application/xspf+xml').send(buildXspf(name, items));
+  }
+});
+
+// DLNA endpoints only exist with `dlna` on
+function requireDlna(req, res, next) {
+  if (!config.dlna) {
+    return res.status(404).json({ error: 'DLNA is disabled' });
+  }
+  next();
+}
+
+function getDlnaUuid() {
+  if (!dlnaStore.data.uuid) {
+    dlnaStore.data.uuid = crypto.randomUUID();
+    dlnaStore.saveNow();
+  }
+  return dlnaStore.data.uuid;
+}
+
+// ContentDirectory objects: "0" is the root, each ready torrent a folder
+// (its infoHash) and each video file an item ("<infoHash>/<fileIndex>")
+function getDlnaRoot() {
+  const count = Array.from(torrents.values()).filter(entry => entry.torrent.ready).length;
+  return { type: 'container', id: '0', parentId: '-1', title: config.dlnaName, childCount: count };
+}
+
+function getDlnaContainer(entry) {
+  const torrent = entry.torrent;
+  return {
+    type: 'container',
+    id: torrent.infoHash,
+    parentId: '0',
+    title: torrent.name || torrent.infoHash,
+    childCount: getPlaylist(entry).length
+  };
+}
+
+function getDlnaItem(req, entry, fileIndex) {
+  const torrent = entry.torrent;
+  const file = torrent.files[fileIndex];
+  return {
+    type: 'item',
+    id: `${torrent.infoHash}/${fileIndex}`,
+    parentId: torrent.infoHash,
+    title: path.basename(file.name, path.extname(file.name)),
+    url: getExternalStreamUrl(req, torrent.infoHash, fileIndex),
+    mimeType: VIDEO_CONTENT_TYPES[path.extname(file.name).toLowerCase()],
+    size: file.length,
+    duration: getKnownDuration(entry, fileIndex)
+  };
+}
+
+// Objects for a Browse request, or null if the object doesn't exist
+function browseDlna(req, objectId, browseFlag) {
+  const [infoHash, index] = objectId.split('/');
+  const entry = objectId === '0' ? null : torrents.get(infoHash);
+  if (objectId !== '0' && !(entry && entry.torrent.ready)) return null;
+
+  if (index !== undefined) {
+    const fileIndex = Number(index);
+    if (!getPlaylist(entry).includes(fileIndex)) return null;
+    return browseFlag === 'BrowseMetadata' ? [getDlnaItem(req, entry, fileIndex)] : [];
+  }
+
+  if (browseFlag === 'BrowseMetadata') {
+    return [entry ? getDlnaContainer(entry) : getDlnaRoot()];
+  }
+  if (entry) {
+    return getPlaylist(entry).map(fileIndex => getDlnaItem(req, entry, fileIndex));
+  }
+  return Array.from(torrents.values())
+    .filter(e => e.torrent.ready)
+    .map(getDlnaContainer);
+}
 
-    stream.on('error', (err) => {
-      // Only log unexpected errors, not normal browser disconnects
-      if (!err.message.includes('Writable stream closed') &&
-        !err.message.includes('ECONNRESET') &&
-        !err.message.includes('aborted')) {
-        console.error('Stream error:', err.message);
+// Output arguments of a ContentDirectory / ConnectionManager action, or null if unknown
+function handleDlnaAction(req, service, action) {
+  if (service === CONTENT_DIRECTORY) {
+    switch (action) {
+      case 'Browse': {
+        const browseFlag = getSoapArgument(req.body, 'BrowseFlag');
+        const objects = browseDlna(req, getSoapArgument(req.body, 'ObjectID') || '0', browseFlag);
+        if (!objects) return { fault: [701, 'No such object'] };
+
+        const start = parseInt(getSoapArgument(req.body, 'StartingIndex'), 10) || 0;
+        const count = parseInt(getSoapArgument(req.body, 'RequestedCount'), 10) || objects.length;
+        const page = objects.slice(start, start + count);
+        return {
+          Result: buildDidl(page),
+          NumberReturned: page.length,
+          TotalMatches: objects.length,
+          UpdateID: dlnaUpdateId
+        };
       }
-      cleanup();
-    });
+      case 'GetSearchCapabilities':
+        return { SearchCaps: '' };
+      case 'GetSortCapabilities':
+        return { SortCaps: '' };
+      case 'GetSystemUpdateID':
+        return { Id: dlnaUpdateId };
+    }
+  } else if (service === CONNECTION_MANAGER) {
+    switch (action) {
+      case 'GetProtocolInfo':
+        return { Source: Array.from(new Set(Object.values(VIDEO_CONTENT_TYPES)), getProtocolInfo).join(','), Sink: '' };
+      case 'GetCurrentConnectionIDs':
+        return { ConnectionIDs: '0' };
+      case 'GetCurrentConnectionInfo':
+        return {
+          RcsID: -1,
+          AVTransportID: -1,
+          ProtocolInfo: '',
+          PeerConnectionManager: '',
+          PeerConnectionID: -1,
+          Direction: 'Output',
+          Status: 'OK'
+        };
+    }
+  }
+  return null;
+}
+
+// DLNA: device description, found through the SSDP LOCATION header
+app.get('/dlna/description.xml', requireDlna, (req, res) => {
+  res.type('text/xml').send(buildDeviceDescription({ uuid: getDlnaUuid(), name: config.dlnaName }));
+});
+
+app.get('/dlna/ContentDirectory.xml', requireDlna, (req, res) => {
+  res.type('text/xml').send(CONTENT_DIRECTORY_SCPD);
+});
+
+app.get('/dlna/ConnectionManager.xml', requireDlna, (req, res) => {
+  res.type('text/xml').send(CONNECTION_MANAGER_SCPD);
+});
+
+// DLNA: SOAP actions (Browse lists the active torrents and their video files)
+app.post('/dlna/control/:service', requireDlna, express.text({ type: () => true }), (req, res) => {
+  const service = DLNA_SERVICES[req.params.service];
+  const soap = parseSoapAction(req.get('soapaction'));
+  res.type('text/xml');
+
+  const result = soap && soap.service === service ? handleDlnaAction(req, service, soap.action) : null;
+  if (!result) {
+    return res.status(500).send(buildSoapFault(401, 'Invalid Action'));
+  }
+  if (result.fault) {
+    return res.status(500).send(buildSoapFault(...result.fault));
+  }
+  res.send(buildSoapResponse(service, soap.action, result));
+});
+
+// DLNA: some TVs refuse servers whose event subscriptions fail. Nothing is
+// ever sent; clients poll GetSystemUpdateID instead.
+app.subscribe('/dlna/event/:service', requireDlna, (req, res) => {
+  res.set({ SID: req.get('sid') || `uuid:${crypto.randomUUID()}`, TIMEOUT: 'Second-1800' }).end();
+});
+
+app.unsubscribe('/dlna/event/:service', requireDlna, (req, res) => {
+  res.end();
+});
+
+// API: Rate limit settings and the limits in effect right now
+app.get('/api/limits', (req, res) => {
+  res.json(getLimitsSummary());
+});
+
+// API: Change rate limits (any of downloadLimit, uploadLimit, schedule, seedBoost)
+app.put('/api/limits', (req, res) => {
+  const update = req.body || {};
+  const errors = validateLimits(update);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+
+  const settings = limitsStore.data;
+  if (update.downloadLimit !== undefined) settings.downloadLimit = update.downloadLimit;
+  if (update.uploadLimit !== undefined) settings.uploadLimit = update.uploadLimit;
+  if (update.schedule !== undefined) {
+    settings.schedule = update.schedule.map(({ start, end, days, downloadLimit, uploadLimit }) => ({
+      start, end, days, downloadLimit, uploadLimit
+    }));
+  }
+  if (update.seedBoost !== undefined) {
+    settings.seedBoost = { ...settings.seedBoost, ...update.seedBoost };
+    if (!settings.seedBoost.enabled) seedBoostUntil = 0;
+  }
+  limitsStore.saveNow();
+  applyRateLimits();
+
+  res.json(getLimitsSummary());
+});
+
+// API: Get non-sensitive server configuration
+app.get('/api/config', (req, res) => {
+  res.json(getPublicConfig(config));
+});
+
+// API: Reload trackers
+app.post('/api/trackers/reload', async (req, res) => {
+  await loadTrackers();
+  res.json({
+    success: true,
+    count: loadedTrackers.length
+  });
+});
+
+// API: List trackers added to new torrents, with their health across active torrents
+app.get('/api/trackers', (req, res) => {
+  const entries = Array.from(torrents.values());
+  res.json({
+    count: loadedTrackers.length,
+    lists: TRACKER_LIST_URLS.map((url) => {
+      const list = trackerLists.get(url);
+      return {
+        url,
+        count: list ? list.trackers.length : 0,
+        fetchedAt: list ? list.fetchedAt : null,
+        error: list ? list.error : null
+      };
+    }),
+    refreshInterval: config.trackerRefreshInterval,
+    trackers: loadedTrackers.map(url => getTrackerSummary(url, entries))
+  });
+});
+
+// API: Add a tracker to trackers.txt (used by torrents added from now on)
+app.post('/api/trackers', async (req, res) => {
+  const url = typeof req.body.url === 'string' ? normalizeTrackerUrl(req.body.url) : '';
+  if (!isTrackerUrl(url)) {
+    return res.status(400).json({ error: 'url must be a udp, http(s) or ws(s) tracker URL' });
+  }
+  if ((trackerSources.get(url) || []).includes('file')) {
+    return res.status(409).json({ error: 'Tracker already added' });
+  }
+
+  try {
+    addToTrackersFile(TRACKERS_FILE, url);
+  } catch (err) {
+    return res.status(500).json({ error: `Cannot write ${path.basename(TRACKERS_FILE)}: ${err.message}` });
+  }
+  await loadTrackers({ refreshLists: false });
+
+  res.status(201).json({
+    tracker: getTrackerSummary(url, Array.from(torrents.values())),
+    count: loadedTrackers.length
+  });
+});
+
+// API: Remove a tracker. One that comes from a remote list is excluded in
+// trackers.txt so it stays removed when the list is refreshed.
+app.delete('/api/trackers', async (req, res) => {
+  const url = typeof req.query.url === 'string' ? normalizeTrackerUrl(req.query.url) : '';
+  const sources = trackerSources.get(url);
+  if (!sources) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+
+  try {
+    removeFromTrackersFile(TRACKERS_FILE, url, { exclude: sources.some(source => source !== 'file') });
+  } catch (err) {
+    return res.status(500).json({ error: `Cannot write ${path.basename(TRACKERS_FILE)}: ${err.message}` });
+  }
+  await loadTrackers({ refreshLists: false });
+
+  res.json({
+    success: true,
+    count: loadedTrackers.length
+  });
+});
+
+// API: Trackers of one torrent with their announce and scrape results
+app.get('/api/torrents/:infoHash/trackers', (req, res) => {
+  const urls = new Set((req.entry.torrent.announce || []).map(normalizeTrackerUrl));
+  res.json({
+    trackers: Array.from(urls, url => getTrackerSummary(url, [req.entry]))
+  });
+});
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// API: Update playback position (for piece prioritization)
+app.post('/api/torrents/:infoHash/playback-position', (req, res) => {
+  const { fileIndex, currentTime, duration } = req.body || {};
+  const entry = req.entry;
+
+  if (!entry.torrent.ready) {
+    return res.status(409).json({ error: 'Torrent not ready' });
+  }
+
+  if (!Number.isInteger(fileIndex) || fileIndex < 0 || fileIndex >= entry.torrent.files.length) {
+    return res.status(400).json({ error: 'fileIndex must be the index of a file in the torrent' });
+  }
+  if (!isNonNegativeNumber(currentTime) || !isNonNegativeNumber(duration)) {
+    return res.status(400).json({ error: 'currentTime and duration must be finite numbers >= 0' });
+  }
+
+  const file = entry.torrent.files[fileIndex];
+  library.markPlayed(entry.torrent.infoHash, fileIndex);
+  library.setProgress(entry.torrent.infoHash, fileIndex, currentTime, duration);
+
+  // Convert time position to byte position (keyframe index or linear estimate)
+  const bytePosition = timeToByte(entry, fileIndex, currentTime, duration);
+
+  entry.playbackPosition = { fileIndex, bytePosition, currentTime };
+
+  // Prioritize pieces from this position
+  prioritizePiecesFrom(entry, file, bytePosition);
+  updatePrefetch(entry, fileIndex, currentTime, duration);
+  requestThumbnails(entry, fileIndex);
+
+  res.json({ success: true, bytePosition });
+});
+
+// API: Select/deselect a file for download and set its priority
+// (body: { selected?: boolean, priority?: 'low' | 'normal' | 'high' })
+app.patch('/api/torrents/:infoHash/files/:fileIndex', (req, res) => {
+  const { selected, priority } = req.body || {};
+
+  if (selected !== undefined && typeof selected !== 'boolean') {
+    return res.status(400).json({ error: 'selected must be a boolean' });
+  }
+  if (priority !== undefined && !Object.hasOwn(FILE_PRIORITIES, priority)) {
+    return res.status(400).json({ error: `priority must be one of: ${Object.keys(FILE_PRIORITIES).join(', ')}` });
+  }
+
+  setFileSelection(req.entry, req.fileIndex, { selected, priority });
+  res.json(serializeFiles(req.entry)[req.fileIndex]);
+});
+
+// Torrent content never changes, so the torrent's creation date (or when it
+// was first added here) stands in for a modification time
+function getLastModified(entry) {
+  const created = entry.torrent.created;
+  if (created instanceof Date && !Number.isNaN(created.getTime())) return created;
+  const item = library.get(entry.torrent.infoHash);
+  return item ? new Date(item.addedAt) : null;
+}
+
+// Stream video file, with byte ranges (RFC 7233), HEAD and conditional requests
+app.get('/stream/:infoHash/:fileIndex', (req, res) => {
+  const file = req.torrentFile;
+
+  // Get file extension for content type
+  const ext = path.extname(file.name).toLowerCase();
+  const contentType = VIDEO_CONTENT_TYPES[ext] || 'application/octet-stream';
+
+  res.set('Content-Disposition', contentDisposition(file.name));
+
+  // DLNA renderers ask how the file can be streamed
+  if (req.get('getcontentFeatures.dlna.org') || req.get('transferMode.dlna.org')) {
+    res.set({ 'transferMode.dlna.org': 'Streaming', 'contentFeatures.dlna.org': CONTENT_FEATURES });
+  }
+
+  // Express answers HEAD with this route too; sendRanges() reads nothing then
+  sendRanges(req, res, file, {
+    contentType,
+    // The same info hash and index always mean the same bytes, so the tag is strong
+    etag: `"${req.entry.torrent.infoHash}-${req.fileIndex}"`,
+    lastModified: getLastModified(req.entry),
+    onRead: (stream, start) => trackReader(req.entry, req, file, req.fileIndex, start, stream)
+  });
+});
+
+// API: Probe a file's duration and codecs (requires ffprobe)
+app.get('/api/torrents/:infoHash/files/:fileIndex/probe', async (req, res) => {
+  if (!ffprobeAvailable) {
+    return res.status(501).json({ error: 'ffprobe is not available' });
+  }
+
+  try {
+    const { streams, ...info } = await getMediaInfo(req.entry, req.fileIndex);
+    res.json(info);
+  } catch (err) {
+    res.status(502).json({ error: `Probe failed: ${err.message}` });
+  }
+});
+
+// Remux a file to fragmented MP4 (no re-encoding), starting at ?t=<seconds>
+app.get('/stream/:infoHash/:fileIndex/mp4', (req, res) => {
+  if (!ffmpegAvailable) {
+    return res.status(501).json({ error: 'ffmpeg is not available' });
+  }
 
-    stream.pipe(res);
+  const startTime = Math.max(0, parseFloat(req.query.t) || 0);
+  const inputUrl = getInternalStreamUrl(req.entry.torrent.infoHash, req.fileIndex);
+  const ffmpeg = spawnRemux(config.ffmpegPath, inputUrl, startTime);
+  const getStderr = collectStderr(ffmpeg);
+  let closed = false;
+
+  // Client went away (seek, close tab) - stop ffmpeg
+  res.on('close', () => {
+    closed = true;
+    ffmpeg.kill('SIGKILL');
+  });
+
+  // Headers go out with the first remuxed bytes, so ffmpeg failing to start
+  // (missing binary, unreadable input) can still be answered with an error
+  const fail = (message) => {
+    if (closed || res.writableEnded) return;
+    if (!res.headersSent) {
+      res.status(500).json({ error: message });
+    } else {
+      res.destroy();
+    }
   };
 
-  if (range) {
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    const chunkSize = (end - start) + 1;
-
-    res.writeHead(206, {
-      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunkSize,
-      'Content-Type': contentType
-    });
+  ffmpeg.on('error', (err) => {
+    console.error('ffmpeg error:', err.message);
+    fail(err.message);
+  });
 
-    const stream = file.createReadStream({ start, end });
-    handleStream(stream);
-  } else {
-    res.writeHead(200, {
-      'Content-Length': fileSize,
-      'Content-Type': contentType
+  // 'close' comes after stdout is drained; only a clean exit ends the response
+  ffmpeg.on('close', (code) => {
+    if (closed) return;
+    if (code === 0) {
+      res.end();
+    } else {
+      console.error(`ffmpeg exited with code ${code}: ${getStderr()}`);
+      fail(`ffmpeg exited with code ${code}`);
+    }
+  });
+
+  res.set({
+    'Content-Type': 'video/mp4',
+    'Cache-Control': 'no-cache'
+  });
+  ffmpeg.stdout.pipe(res, { end: false });
+});
+
+// HLS playlist for a file (requires ffmpeg and ffprobe)
+app.get('/hls/:infoHash/:fileIndex/index.m3u8', async (req, res) => {
+  if (!ffmpegAvailable || !ffprobeAvailable) {
+    return res.status(501).json({ error: 'HLS requires ffmpeg and ffprobe' });
+  }
+
+  let info;
+  try {
+    info = await getMediaInfo(req.entry, req.fileIndex);
+  } catch (err) {
+    return res.status(502).json({ error: `Probe failed: ${err.message}` });
+  }
+
+  if (!info.duration) {
+    return res.status(422).json({ error: 'Unknown media duration' });
+  }
+
+  const plan = await getHlsPlan(req.entry, req.fileIndex, info.duration);
+
+  res.type('application/vnd.apple.mpegurl');
+  res.set('Cache-Control', 'no-cache');
+  res.send(buildPlaylist(plan.segments, req.mediaSignature));
+});
+
+// HLS segment, generated on demand and cached in the torrent's temp dir
+app.get('/hls/:infoHash/:fileIndex/:segment.ts', async (req, res) => {
+  if (!ffmpegAvailable || !ffprobeAvailable) {
+    return res.status(501).json({ error: 'HLS requires ffmpeg and ffprobe' });
+  }
+
+  const entry = req.entry;
+  const file = req.torrentFile;
+  const index = parseInt(req.params.segment, 10);
+
+  let info;
+  try {
+    info = await getMediaInfo(entry, req.fileIndex);
+  } catch (err) {
+    return res.status(502).json({ error: `Probe failed: ${err.message}` });
+  }
+
+  if (!info.duration) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  const plan = await getHlsPlan(entry, req.fileIndex, info.duration);
+  if (!(index >= 0 && index < plan.segments.length)) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  // Seeks show up as segment requests - fetch this segment's pieces first
+  const { start } = plan.segments[index];
+  prioritizePiecesFrom(entry, file, timeToByte(entry, req.fileIndex, start, info.duration));
+
+  let segmentPath;
+  try {
+    segmentPath = await getHlsSegment(entry, req.fileIndex, index, plan);
+  } catch (err) {
+    console.error(`HLS segment ${index} failed:`, err.message);
+    return res.status(500).json({ error: 'Segment generation failed' });
+  }
+
+  res.type('video/mp2t');
+  res.sendFile(segmentPath);
+
+  // Prepare the next segment while this one plays
+  if (index + 1 < plan.segments.length) {
+    getHlsSegment(entry, req.fileIndex, index + 1, plan).catch(() => {});
+  }
+});
+
+// Seek-preview thumbnails track (WebVTT with #xywh sprite fragments, as
+// read by Plyr). Only lists thumbnails generated so far.
+app.get('/thumbnails/:infoHash/:fileIndex/thumbnails.vtt', (req, res) => {
+  if (!ffmpegAvailable || !ffprobeAvailable) {
+    return res.status(501).json({ error: 'Thumbnails require ffmpeg and ffprobe' });
+  }
+
+  const state = req.entry.thumbnails.get(req.fileIndex);
+  if (!state || state.version === 0) {
+    return res.status(404).json({ error: 'No thumbnails yet' });
+  }
+
+  const spriteUrl = `/thumbnails/${req.entry.torrent.infoHash}/${req.fileIndex}/sprite.jpg?v=${state.version}`;
+  res.type('text/vtt');
+  res.set('Cache-Control', 'no-cache');
+  res.send(buildThumbnailsVtt(state.layout, state.spriteTiles, state.duration, spriteUrl));
+});
+
+// Sprite the thumbnails track points into
+app.get('/thumbnails/:infoHash/:fileIndex/sprite.jpg', (req, res) => {
+  if (!ffmpegAvailable || !ffprobeAvailable) {
+    return res.status(501).json({ error: 'Thumbnails require ffmpeg and ffprobe' });
+  }
+
+  const state = req.entry.thumbnails.get(req.fileIndex);
+  if (!state || state.version === 0) {
+    return res.status(404).json({ error: 'No thumbnails yet' });
+  }
+
+  res.sendFile(path.join(getThumbnailDir(req.entry, req.fileIndex), 'sprite.jpg'));
+});
+
+// API: Subtitles for a video - sidecar files in the torrent plus embedded text tracks
+app.get('/api/torrents/:infoHash/files/:fileIndex/subtitles', async (req, res) => {
+  const entry = req.entry;
+  const infoHash = entry.torrent.infoHash;
+
+  const subtitles = findSidecarSubtitles(entry.torrent.files, req.fileIndex, isVideoFile).map(sub => ({
+    id: `s${sub.index}`,
+    source: 'sidecar',
+    label: sub.label,
+    language: sub.language,
+    name: sub.name
+  }));
+
+  for (const sub of entry.uploadedSubtitles) {
+    if (sub.fileIndex === req.fileIndex) {
+      subtitles.push({ id: sub.id, source: 'upload', label: sub.label, language: sub.language, name: sub.name });
+    }
+  }
+
+  if (ffmpegAvailable && ffprobeAvailable) {
+    try {
+      const info = await getMediaInfo(entry, req.fileIndex);
+      for (const track of getEmbeddedSubtitleStreams(info.streams)) {
+        subtitles.push({
+          id: `e${req.fileIndex}-${track.streamIndex}`,
+          source: 'embedded',
+          label: track.label,
+          language: track.language,
+          codec: track.codec
+        });
+      }
+    } catch (err) {
+      console.error('Subtitle probe failed:', err.message);
+    }
+  }
+
+  res.json({
+    subtitles: subtitles.map(sub => ({ ...sub, url: `/subtitles/${infoHash}/${sub.id}.vtt` }))
+  });
+});
+
+// API: Upload a local SRT/VTT/ASS file as subtitles for a video
+app.post('/api/torrents/:infoHash/files/:fileIndex/subtitles', upload.single('subtitle'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Subtitle file required' });
+  }
+
+  const name = req.file.originalname;
+  if (!isSubtitleFile(name)) {
+    return res.status(400).json({ error: 'Unsupported subtitle format' });
+  }
+
+  const entry = req.entry;
+  const vtt = toVtt(decodeSubtitle(req.file.buffer, config.subtitleFallbackEncoding), path.extname(name));
+  const id = `u${entry.uploadedSubtitles.length + 1}`;
+  const subtitle = {
+    id,
+    fileIndex: req.fileIndex,
+    label: path.basename(name, path.extname(name)),
+    language: guessLanguage(name),
+    name
+  };
+
+  entry.uploadedSubtitles.push(subtitle);
+  entry.subtitles.set(id, Promise.resolve(vtt));
+
+  const { fileIndex, ...rest } = subtitle;
+  res.json({
+    success: true,
+    subtitle: { ...rest, source: 'upload', url: `/subtitles/${entry.torrent.infoHash}/${id}.vtt` }
+  });
+});
+
+// Serve a subtitle converted to WebVTT
+app.get('/subtitles/:infoHash/:id.vtt', async (req, res) => {
+  if (!req.entry.torrent.ready) {
+    return res.status(409).json({ error: 'Torrent not ready' });
+  }
+
+  const entry = req.entry;
+  const id = req.params.id;
+  const promise = getSubtitleVtt(entry, id);
+  if (!promise) {
+    return res.status(404).json({ error: 'Subtitle not found' });
+  }
+
+  // Stop an embedded extraction once no client is waiting for it
+  const job = entry.subtitleJobs.get(id);
+  if (job) {
+    job.waiters++;
+    res.on('close', () => {
+      job.waiters--;
+      if (job.waiters === 0 && entry.subtitleJobs.get(id) === job) {
+        job.controller.abort();
+        if (entry.subtitles.get(id) === promise) entry.subtitles.delete(id);
+      }
     });
+  }
 
-    const stream = file.createReadStream();
-    handleStream(stream);
+  try {
+    const vtt = await promise;
+    res.type('text/vtt; charset=utf-8');
+    res.send(vtt);
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error(`Subtitle ${id} failed:`, err.message);
+    res.status(500).json({ error: 'Subtitle conversion failed' });
+  }
+});
+
+// Error handler: JSON errors for API clients
+app.use((err, req, res, next) => {
+  const status = err instanceof multer.MulterError ? 400 : (err.status || 500);
+  if (status >= 500) {
+    console.error('Request error:', err.message);
   }
+  res.status(status).json({ error: err.message });
 });
 
 // Start server
 async function start() {
-  // Load trackers on startup
+  printConfig(config);
+
+  // Optional tools for remuxing and probing
+  [ffmpegAvailable, ffprobeAvailable] = await Promise.all([
+    detectBinary(config.ffmpegPath),
+    detectBinary(config.ffprobePath)
+  ]);
+  console.log(`ffmpeg: ${ffmpegAvailable ? 'available' : 'not found'}, ffprobe: ${ffprobeAvailable ? 'available' : 'not found'}`);
+
+  // Load trackers on startup and keep the remote lists fresh
   await loadTrackers();
+  if (config.trackerRefreshInterval > 0) {
+    setInterval(() => {
+      loadTrackers().catch(err => console.error('Error reloading trackers:', err.message));
+    }, config.trackerRefreshInterval * 1000);
+  }
+  setInterval(() => {
+    scrapeTrackers().catch(err => console.error('Error scraping trackers:', err.message));
+  }, TRACKER_SCRAPE_INTERVAL);
+
+  // Apply saved rate limits and follow the schedule
+  applyRateLimits();
+  setInterval(applyRateLimits, LIMITS_CHECK_INTERVAL);
+
+  // Notice streams stuck waiting for pieces
+  setInterval(checkStalls, STALL_CHECK_INTERVAL);
+
+  // Fill in preview thumbnails as pieces arrive
+  setInterval(checkThumbnails, THUMBNAIL_CHECK_INTERVAL);
 
-  app.listen(PORT, '0.0.0.0', () => {
+  // Watch the disk budget and free space
+  await checkDiskSpace();
+  setInterval(() => {
+    checkDiskSpace().catch(err => console.error('Error checking disk space:', err.message));
+  }, DISK_CHECK_INTERVAL);
+
+  app.listen(PORT, config.host, () => {
     console.log(`\n🎬 Torrent Stream Server running at http://localhost:${PORT}`);
     console.log(`   Access from other devices: http://<your-ip>:${PORT}\n`);
+
+    // Advertise the DLNA media server on the LAN
+    if (config.dlna) {
+      ssdp = createSsdpServer({
+        uuid: getDlnaUuid(),
+        location: address => `http://${address}:${PORT}/dlna/description.xml`
+      });
+      ssdp.start()
+        .then(() => console.log(`DLNA media server "${config.dlnaName}" advertised over SSDP`))
+        .catch((err) => {
+          console.warn('DLNA discovery disabled:', err.message);
+          ssdp = null;
+        });
+    }
   });
 }
 
 // Cleanup on exit
 process.on('SIGINT', async () => {
   console.log('\nShutting down...');
-  await destroyCurrentTorrent();
+  if (ssdp) await ssdp.stop();
+  await destroyAllTorrents();
+  library.flush();
+  auth.flush();
+  media.flush();
   client.destroy();
   process.exit(0);
 });
@@ -0,0 +1,326 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import dgram from 'dgram';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSsdpServer, parseSoapAction, getSoapArgument, CONTENT_DIRECTORY } from '../lib/dlna.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+const UUID = '2fac1234-31f8-11b4-a222-08002b34c003';
+const MEDIA_SERVER = 'urn:schemas-upnp-org:device:MediaServer:1';
+const PIECE_LENGTH = 16384;
+
+// WebTorrent needs native modules (node-datachannel) that may not be built
+const webtorrentError = await import('webtorrent').then(() => null, err => err.message.split('\n')[0]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseHeaders(message) {
+  const [startLine, ...lines] = message.split('\r\n');
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  }
+  return { startLine, headers };
+}
+
+function bencode(value) {
+  if (Buffer.isBuffer(value)) return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  if (typeof value === 'string') return bencode(Buffer.from(value));
+  if (typeof value === 'number') return Buffer.from(`i${value}e`);
+  const keys = Object.keys(value).sort();
+  return Buffer.concat([
+    Buffer.from('d'),
+    ...keys.flatMap(key => [bencode(key), bencode(value[key])]),
+    Buffer.from('e')
+  ]);
+}
+
+// Single-file .torrent for `data`, and its info hash
+function createTorrent(name, data) {
+  const hashes = [];
+  for (let offset = 0; offset < data.length; offset += PIECE_LENGTH) {
+    hashes.push(crypto.createHash('sha1').update(data.subarray(offset, offset + PIECE_LENGTH)).digest());
+  }
+  const info = { length: data.length, name, 'piece length': PIECE_LENGTH, pieces: Buffer.concat(hashes) };
+  return {
+    infoHash: crypto.createHash('sha1').update(bencode(info)).digest('hex'),
+    torrent: bencode({ info })
+  };
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe('SSDP', () => {
+  // Announcements are recorded instead of multicast, and loopback stands in
+  // for the LAN so there's always one interface to announce on
+  const notifies = [];
+  let ssdp;
+  let port;
+
+  before(async () => {
+    mock.method(os, 'networkInterfaces', () => ({
+      lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: false }]
+    }));
+    const send = dgram.Socket.prototype.send;
+    mock.method(dgram.Socket.prototype, 'send', function (message, ...args) {
+      if (!String(message).startsWith('NOTIFY')) return send.call(this, message, ...args);
+      notifies.push(parseHeaders(String(message)));
+      args[args.length - 1]();
+    });
+    mock.timers.enable({ apis: ['setInterval'] });
+
+    ssdp = createSsdpServer({
+      uuid: UUID,
+      location: ip => `http://${ip}:8888/dlna/description.xml`,
+      address: '127.0.0.1',
+      port: 0
+    });
+    ({ port } = await ssdp.start());
+  });
+
+  after(async () => {
+    await ssdp.stop();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  // Send an M-SEARCH and collect the replies that arrive within `wait` ms
+  async function search(st, wait = 1500) {
+    const client = dgram.createSocket('udp4');
+    const replies = [];
+    client.on('message', message => replies.push(parseHeaders(message.toString())));
+    await new Promise(resolve => client.bind(0, '127.0.0.1', resolve));
+
+    const message = [
+      'M-SEARCH * HTTP/1.1',
+      'HOST: 239.255.255.250:1900',
+      'MAN: "ssdp:discover"',
+      'MX: 1',
+      `ST: ${st}`
+    ].join('\r\n') + '\r\n\r\n';
+    await new Promise((resolve, reject) => client.send(message, port, '127.0.0.1', err => (err ? reject(err) : resolve())));
+    await sleep(wait);
+    client.close();
+    return replies;
+  }
+
+  it('announces every target on start', async () => {
+    await sleep(50);
+    assert.equal(notifies.length, 5);
+    for (const { startLine, headers } of notifies) {
+      assert.equal(startLine, 'NOTIFY * HTTP/1.1');
+      assert.equal(headers.nts, 'ssdp:alive');
+      assert.equal(headers.location, 'http://127.0.0.1:8888/dlna/description.xml');
+    }
+    assert.ok(notifies.some(n => n.headers.nt === MEDIA_SERVER && n.headers.usn === `uuid:${UUID}::${MEDIA_SERVER}`));
+  });
+
+  it('answers an M-SEARCH for the device type', async () => {
+    const replies = await search(MEDIA_SERVER);
+    assert.equal(replies.length, 1);
+    const { startLine, headers } = replies[0];
+    assert.equal(startLine, 'HTTP/1.1 200 OK');
+    assert.equal(headers.st, MEDIA_SERVER);
+    assert.equal(headers.usn, `uuid:${UUID}::${MEDIA_SERVER}`);
+    assert.equal(headers.location, 'http://127.0.0.1:8888/dlna/description.xml');
+    assert.equal(headers['cache-control'], 'max-age=1800');
+    assert.equal(headers.ext, '');
+  });
+
+  it('answers ssdp:all with every target and ignores unknown ones', async () => {
+    assert.equal((await search('ssdp:all')).length, 5);
+    assert.equal((await search('urn:schemas-upnp-org:device:MediaRenderer:1', 300)).length, 0);
+  });
+
+  it('repeats announcements until stopped, then says goodbye once', async () => {
+    notifies.length = 0;
+    mock.timers.tick(900 * 1000);
+    await sleep(50);
+    assert.equal(notifies.length, 5);
+    assert.ok(notifies.every(n => n.headers.nts === 'ssdp:alive'));
+
+    notifies.length = 0;
+    await ssdp.stop();
+    assert.equal(notifies.length, 5);
+    assert.ok(notifies.every(n => n.headers.nts === 'ssdp:byebye'));
+
+    mock.timers.tick(3 * 900 * 1000);
+    await sleep(50);
+    assert.equal(notifies.length, 5);
+  });
+
+  it('rejects start() when the address can\'t be bound', async () => {
+    // 203.0.113.0/24 is reserved for documentation, so it isn't a local address
+    const other = createSsdpServer({ uuid: UUID, location: () => '', address: '203.0.113.1', port: 0 });
+    await assert.rejects(other.start(), { code: 'EADDRNOTAVAIL' });
+  });
+});
+
+describe('SOAP helpers', () => {
+  it('parses the SOAPACTION header', () => {
+    assert.deepEqual(parseSoapAction(`"${CONTENT_DIRECTORY}#Browse"`), { service: CONTENT_DIRECTORY, action: 'Browse' });
+    assert.equal(parseSoapAction('Browse'), null);
+  });
+
+  it('reads prefixed and escaped arguments', () => {
+    const body = '<u:Browse xmlns:u="x"><ObjectID>a&amp;b</ObjectID><u:BrowseFlag>BrowseMetadata</u:BrowseFlag></u:Browse>';
+    assert.equal(getSoapArgument(body, 'ObjectID'), 'a&b');
+    assert.equal(getSoapArgument(body, 'BrowseFlag'), 'BrowseMetadata');
+    assert.equal(getSoapArgument(body, 'Filter'), null);
+  });
+});
+
+// The HTTP side against a real server with `dlna` and a password on, and a
+// local torrent whose data is already on disk
+describe('DLNA endpoints', { skip: webtorrentError ? `WebTorrent can't load: ${webtorrentError}` : false }, () => {
+  const data = Buffer.from(Array.from({ length: 2 * PIECE_LENGTH + 321 }, (_, i) => (i * 13) % 256));
+  const { infoHash, torrent } = createTorrent('Test & Movie.mp4', data);
+  let tmpDir;
+  let server;
+  let output = '';
+  let base;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tss-dlna-'));
+    const tempDir = path.join(tmpDir, 'temp');
+    fs.mkdirSync(path.join(tempDir, infoHash), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, infoHash, 'Test & Movie.mp4'), data);
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), '{}');
+    fs.writeFileSync(path.join(tmpDir, 'trackers.txt'), '');
+
+    const port = await getFreePort();
+    base = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [SERVER_PATH], {
+      env: {
+        ...process.env,
+        TSS_CONFIG: path.join(tmpDir, 'config.json'),
+        TSS_HOST: '127.0.0.1',
+        TSS_PORT: String(port),
+        TSS_PASSWORD: 'secret',
+        TSS_TEMP_DIR: tempDir,
+        TSS_DATA_DIR: path.join(tmpDir, 'data'),
+        TSS_MEDIA_DIR: path.join(tmpDir, 'media'),
+        TSS_TRACKERS_FILE: path.join(tmpDir, 'trackers.txt'),
+        TSS_TRACKER_LIST_URL: '',
+        TSS_MIN_FREE_SPACE: '0',
+        TSS_DLNA: 'true',
+        TSS_DLNA_NAME: 'Test <Server>'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => { output += chunk; });
+    server.stderr.on('data', (chunk) => { output += chunk; });
+
+    const deadline = Date.now() + 30000;
+    while (!(await fetch(`${base}/api/auth`).then(res => res.ok, () => false))) {
+      if (server.exitCode !== null || Date.now() > deadline) {
+        throw new Error(`Server didn't start:\n${output}`);
+      }
+      await sleep(100);
+    }
+
+    const login = await fetch(`${base}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: 'secret' })
+    });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const form = new FormData();
+    form.append('torrent', new Blob([torrent]), 'test.torrent');
+    const added = await fetch(`${base}/api/torrents/upload`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+    assert.equal(added.status, 200, await added.clone().text());
+  });
+
+  after(async () => {
+    if (server && server.exitCode === null) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill('SIGINT');
+      await Promise.race([exited, sleep(5000)]);
+      if (server.exitCode === null) server.kill('SIGKILL');
+    }
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Browse a ContentDirectory object; resolves to the response arguments
+  async function browse(objectId, browseFlag) {
+    const res = await fetch(`${base}/dlna/control/ContentDirectory`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml; charset="utf-8"', SOAPACTION: `"${CONTENT_DIRECTORY}#Browse"` },
+      body: [
+        '<?xml version="1.0"?>',
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>',
+        `<u:Browse xmlns:u="${CONTENT_DIRECTORY}">`,
+        `<ObjectID>${objectId}</ObjectID><BrowseFlag>${browseFlag}</BrowseFlag><Filter>*</Filter>`,
+        '<StartingIndex>0</StartingIndex><RequestedCount>0</RequestedCount><SortCriteria></SortCriteria>',
+        '</u:Browse></s:Body></s:Envelope>'
+      ].join('')
+    });
+    const body = await res.text();
+    return { status: res.status, body, result: getSoapArgument(body, 'Result') };
+  }
+
+  it('serves the device description', async () => {
+    const res = await fetch(`${base}/dlna/description.xml`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/xml/);
+    const xml = await res.text();
+    assert.ok(xml.includes(`<deviceType>${MEDIA_SERVER}</deviceType>`));
+    assert.ok(xml.includes('<friendlyName>Test &lt;Server&gt;</friendlyName>'));
+    assert.match(xml, /<UDN>uuid:[0-9a-f-]{36}<\/UDN>/);
+    assert.ok(xml.includes('<controlURL>/dlna/control/ContentDirectory</controlURL>'));
+    assert.ok(xml.includes('<SCPDURL>/dlna/ConnectionManager.xml</SCPDURL>'));
+  });
+
+  it('lists torrents as folders under the root', async () => {
+    const { status, body, result } = await browse('0', 'BrowseDirectChildren');
+    assert.equal(status, 200);
+    assert.ok(body.includes('<NumberReturned>1</NumberReturned>'));
+    assert.ok(body.includes('<TotalMatches>1</TotalMatches>'));
+    assert.ok(result.startsWith('<DIDL-Lite '));
+    assert.ok(result.includes(`<container id="${infoHash}" parentID="0" restricted="1" childCount="1" searchable="0">`));
+    assert.ok(result.includes('<dc:title>Test &amp; Movie.mp4</dc:title>'));
+  });
+
+  it('lists a torrent\'s video files as playable items', async () => {
+    const { status, result } = await browse(infoHash, 'BrowseDirectChildren');
+    assert.equal(status, 200);
+    assert.ok(result.includes(`<item id="${infoHash}/0" parentID="${infoHash}" restricted="1">`));
+    assert.ok(result.includes('<dc:title>Test &amp; Movie</dc:title>'));
+    assert.ok(result.includes('<upnp:class>object.item.videoItem</upnp:class>'));
+
+    const res = /<res protocolInfo="http-get:\*:video\/mp4:DLNA\.ORG_OP=01;[^"]*" size="(\d+)">([^<]+)<\/res>/.exec(result);
+    assert.ok(res, result);
+    assert.equal(Number(res[1]), data.length);
+
+    // The item links to a signed /stream URL that works without a session
+    const url = res[2].replace(/&amp;/g, '&');
+    assert.match(url, new RegExp(`^${base}/stream/${infoHash}/0\\?exp=\\d+&sig=`));
+    const stream = await fetch(url, { headers: { Range: 'bytes=0-99' } });
+    assert.equal(stream.status, 206);
+    await stream.arrayBuffer();
+  });
+
+  it('answers unknown objects with UPnP error 701', async () => {
+    const { status, body } = await browse('0123456789abcdef0123456789abcdef01234567', 'BrowseMetadata');
+    assert.equal(status, 500);
+    assert.ok(body.includes('<errorCode>701</errorCode>'));
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Readable } from 'stream';
+import { parseRange, checkPreconditions, isRangeCurrent, buildMultipart, sendRanges } from '../lib/http-range.js';
+
+// Just enough of an Express request for the precondition helpers
+function request(headers = {}, method = 'GET') {
+  return { method, headers };
+}
+
+describe('parseRange', () => {
+  it('ignores missing, non-bytes and malformed headers', () => {
+    assert.equal(parseRange(undefined, 100), null);
+    assert.equal(parseRange('items=0-1', 100), null);
+    assert.equal(parseRange('bytes=abc', 100), null);
+    assert.equal(parseRange('bytes=5-2', 100), null);
+    assert.equal(parseRange('bytes=-', 100), null);
+  });
+
+  it('parses closed and open-ended ranges, clamped to the size', () => {
+    assert.deepEqual(parseRange('bytes=0-9', 100), [{ start: 0, end: 9 }]);
+    assert.deepEqual(parseRange('bytes=90-', 100), [{ start: 90, end: 99 }]);
+    assert.deepEqual(parseRange('bytes=90-500', 100), [{ start: 90, end: 99 }]);
+  });
+
+  it('parses suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=-10', 100), [{ start: 90, end: 99 }]);
+    assert.deepEqual(parseRange('bytes=-500', 100), [{ start: 0, end: 99 }]);
+  });
+
+  it('returns no ranges when none can be satisfied', () => {
+    assert.deepEqual(parseRange('bytes=100-', 100), []);
+    assert.deepEqual(parseRange('bytes=-0', 100), []);
+    assert.deepEqual(parseRange('bytes=0-1', 0), []);
+  });
+
+  it('sorts and merges overlapping and adjacent ranges', () => {
+    assert.deepEqual(parseRange('bytes=20-29, 0-9,,5-14, 30-39', 100), [
+      { start: 0, end: 14 },
+      { start: 20, end: 39 }
+    ]);
+  });
+
+  it('ignores headers with too many ranges', () => {
+    const specs = Array.from({ length: 17 }, (_, i) => `${i * 2}-${i * 2}`);
+    assert.equal(parseRange(`bytes=${specs.join(',')}`, 100), null);
+  });
+});
+
+describe('checkPreconditions', () => {
+  const etag = '"abc-0"';
+  const lastModified = new Date('2024-01-02T03:04:05Z');
+
+  it('passes without conditional headers', () => {
+    assert.equal(checkPreconditions(request(), etag, lastModified), 200);
+  });
+
+  it('answers If-None-Match with 304 using weak comparison', () => {
+    assert.equal(checkPreconditions(request({ 'if-none-match': etag }), etag, lastModified), 304);
+    assert.equal(checkPreconditions(request({ 'if-none-match': `"other", W/${etag}` }), etag, lastModified), 304);
+    assert.equal(checkPreconditions(request({ 'if-none-match': '*' }), etag, lastModified), 304);
+    assert.equal(checkPreconditions(request({ 'if-none-match': '"other"' }), etag, lastModified), 200);
+  });
+
+  it('fails If-None-Match with 412 for unsafe methods', () => {
+    assert.equal(checkPreconditions(request({ 'if-none-match': etag }, 'POST'), etag, lastModified), 412);
+  });
+
+  it('answers If-Modified-Since with 304 unless the file is newer', () => {
+    assert.equal(checkPreconditions(request({ 'if-modified-since': lastModified.toUTCString() }), etag, lastModified), 304);
+    assert.equal(checkPreconditions(request({ 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }), etag, lastModified), 200);
+    assert.equal(checkPreconditions(request({ 'if-modified-since': 'not a date' }), etag, lastModified), 200);
+  });
+
+  it('ignores If-Modified-Since when If-None-Match is present', () => {
+    const headers = { 'if-none-match': '"other"', 'if-modified-since': lastModified.toUTCString() };
+    assert.equal(checkPreconditions(request(headers), etag, lastModified), 200);
+  });
+
+  it('fails If-Match with 412 unless a strong tag matches', () => {
+    assert.equal(checkPreconditions(request({ 'if-match': etag }), etag, lastModified), 200);
+    assert.equal(checkPreconditions(request({ 'if-match': '*' }), etag, lastModified), 200);
+    assert.equal(checkPreconditions(request({ 'if-match': `W/${etag}` }), etag, lastModified), 412);
+    assert.equal(checkPreconditions(request({ 'if-match': '"other"' }), etag, lastModified), 412);
+  });
+
+  it('fails If-Unmodified-Since with 412 when the file is newer', () => {
+    assert.equal(checkPreconditions(request({ 'if-unmodified-since': lastModified.toUTCString() }), etag, lastModified), 200);
+    assert.equal(checkPreconditions(request({ 'if-unmodified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }), etag, lastModified), 412);
+  });
+});
+
+describe('isRangeCurrent', () => {
+  const etag = '"abc-0"';
+  const lastModified = new Date('2024-01-02T03:04:05Z');
+
+  it('applies the range without If-Range', () => {
+    assert.equal(isRangeCurrent(request(), etag, lastModified), true);
+  });
+
+  it('needs the exact strong ETag', () => {
+    assert.equal(isRangeCurrent(request({ 'if-range': etag }), etag, lastModified), true);
+    assert.equal(isRangeCurrent(request({ 'if-range': `W/${etag}` }), etag, lastModified), false);
+    assert.equal(isRangeCurrent(request({ 'if-range': '"other"' }), etag, lastModified), false);
+  });
+
+  it('needs the exact Last-Modified date', () => {
+    assert.equal(isRangeCurrent(request({ 'if-range': lastModified.toUTCString() }), etag, lastModified), true);
+    assert.equal(isRangeCurrent(request({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }), etag, lastModified), false);
+    assert.equal(isRangeCurrent(request({ 'if-range': lastModified.toUTCString() }), etag, null), false);
+  });
+});
+
+describe('buildMultipart', () => {
+  it('declares the exact length of the body it describes', () => {
+    const data = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+    const ranges = [{ start: 0, end: 9 }, { start: 20, end: 29 }];
+    const multipart = buildMultipart(ranges, data.length, 'video/mp4');
+
+    const body = Buffer.concat([
+      ...multipart.parts.flatMap(part => [
+        Buffer.from(part.header),
+        data.subarray(part.start, part.end + 1),
+        Buffer.from('\r\n')
+      ]),
+      Buffer.from(multipart.trailer)
+    ]);
+    assert.equal(body.length, multipart.length);
+
+    const text = body.toString();
+    assert.match(multipart.boundary, /^[0-9a-f]{24}$/);
+    assert.ok(text.includes(`--${multipart.boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/36\r\n\r\n0123456789\r\n`));
+    assert.ok(text.includes('Content-Range: bytes 20-29/36\r\n\r\nklmnopqrst\r\n'));
+    assert.ok(text.endsWith(`--${multipart.boundary}--\r\n`));
+  });
+});
+
+// Split a multipart/byteranges body into { headers, body } parts
+function parseMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = Buffer.from(`--${boundary}`);
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    const start = position + delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    const next = body.indexOf(delimiter, headerEnd);
+    const headers = body.subarray(start + 2, headerEnd).toString();
+    parts.push({ headers, body: body.subarray(headerEnd + 4, next - 2) });
+    position = next;
+  }
+  return parts;
+}
+
+// A file served the way /stream serves a WebTorrent file, from memory in
+// small chunks so large responses have to wait for the socket to drain
+function stubFile(data) {
+  return {
+    length: data.length,
+    createReadStream({ start, end }) {
+      const bytes = data.subarray(start, end + 1);
+      return Readable.from((function* () {
+        for (let offset = 0; offset < bytes.length; offset += 4096) {
+          yield bytes.subarray(offset, offset + 4096);
+        }
+      })());
+    }
+  };
+}
+
+describe('sendRanges', () => {
+  const data = Buffer.from(Array.from({ length: 300 * 1024 }, (_, i) => (i * 7 + (i >> 8)) % 256));
+  const size = data.length;
+  const etag = '"abc-0"';
+  const lastModified = new Date('2024-01-02T03:04:05Z');
+  const reads = { started: 0, released: 0 };
+  let server;
+  let url;
+
+  before(async () => {
+    const file = stubFile(data);
+    server = http.createServer((req, res) => {
+      sendRanges(req, res, file, {
+        contentType: 'video/mp4',
+        etag,
+        lastModified,
+        onRead: () => {
+          reads.started++;
+          return () => reads.released++;
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('sends the whole file with validators', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-length'), String(size));
+    assert.equal(res.headers.get('content-type'), 'video/mp4');
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(res.headers.get('etag'), etag);
+    assert.equal(res.headers.get('last-modified'), lastModified.toUTCString());
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data));
+  });
+
+  it('answers a suffix range with 206', async () => {
+    const res = await fetch(url, { headers: { Range: 'bytes=-500' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), `bytes ${size - 500}-${size - 1}/${size}`);
+    assert.equal(res.headers.get('content-length'), '500');
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data.subarray(size - 500)));
+  });
+
+  it('answers an unsatisfiable range with 416', async () => {
+    const res = await fetch(url, { headers: { Range: `bytes=${size}-` } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), `bytes */${size}`);
+    assert.equal((await res.arrayBuffer()).byteLength, 0);
+  });
+
+  it('answers HEAD with headers only, without reading the file', async () => {
+    const started = reads.started;
+    const res = await fetch(url, { method: 'HEAD', headers: { Range: 'bytes=0-99' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-length'), '100');
+    assert.equal(res.headers.get('etag'), etag);
+    assert.equal((await res.arrayBuffer()).byteLength, 0);
+    assert.equal(reads.started, started);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const res = await fetch(url, { headers: { 'If-None-Match': etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.headers.get('etag'), etag);
+    await res.arrayBuffer();
+  });
+
+  it('fails a mismatched If-Match with 412', async () => {
+    const res = await fetch(url, { headers: { 'If-Match': '"other"' } });
+    assert.equal(res.status, 412);
+    await res.arrayBuffer();
+  });
+
+  it('applies the range only when If-Range matches', async () => {
+    const current = await fetch(url, { headers: { Range: 'bytes=0-99', 'If-Range': etag } });
+    assert.equal(current.status, 206);
+    assert.ok(Buffer.from(await current.arrayBuffer()).equals(data.subarray(0, 100)));
+
+    const stale = await fetch(url, { headers: { Range: 'bytes=0-99', 'If-Range': '"stale"' } });
+    assert.equal(stale.status, 200);
+    assert.equal((await stale.arrayBuffer()).byteLength, size);
+  });
+
+  it('sends every part of a multi-range request and releases each read', async () => {
+    const ranges = [[0, 9], [20, 29], [1000, 150 * 1024], [size - 10, size - 1]];
+    const started = reads.started;
+    const released = reads.released;
+    const res = await fetch(url, { headers: { Range: `bytes=${ranges.map(([s, e]) => `${s}-${e}`).join(',')}` } });
+    assert.equal(res.status, 206);
+
+    const boundary = /^multipart\/byteranges; boundary=(\S+)$/.exec(res.headers.get('content-type'))[1];
+    const body = Buffer.from(await res.arrayBuffer());
+    assert.equal(body.length, Number(res.headers.get('content-length')));
+    assert.ok(body.toString('latin1').endsWith(`--${boundary}--\r\n`));
+
+    const parts = parseMultipart(body, boundary);
+    assert.equal(parts.length, ranges.length);
+    parts.forEach((part, i) => {
+      const [start, end] = ranges[i];
+      assert.ok(part.headers.includes(`Content-Range: bytes ${start}-${end}/${size}`));
+      assert.ok(part.body.equals(data.subarray(start, end + 1)));
+    });
+    assert.equal(reads.started - started, ranges.length);
+    assert.equal(reads.released - released, ranges.length);
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// /stream against a real server with a local torrent whose data is already
+// on disk: WebTorrent verifies it on add, so no peers are needed
+
+const SERVER_PATH = fileURLToPath(new URL('../server.js', import.meta.url));
+const FILE_NAME = 'Test Movie (2024).mp4';
+const PIECE_LENGTH = 16384;
+const CREATED = 1700000000; // torrent creation date, served as Last-Modified
+
+// WebTorrent needs native modules (node-datachannel) that may not be built
+const webtorrentError = await import('webtorrent').then(() => null, err => err.message.split('\n')[0]);
+
+function bencode(value) {
+  if (Buffer.isBuffer(value)) return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  if (typeof value === 'string') return bencode(Buffer.from(value));
+  if (typeof value === 'number') return Buffer.from(`i${value}e`);
+  const keys = Object.keys(value).sort();
+  return Buffer.concat([
+    Buffer.from('d'),
+    ...keys.flatMap(key => [bencode(key), bencode(value[key])]),
+    Buffer.from('e')
+  ]);
+}
+
+// Single-file .torrent for `data`, and its info hash
+function createTorrent(name, data) {
+  const hashes = [];
+  for (let offset = 0; offset < data.length; offset += PIECE_LENGTH) {
+    hashes.push(crypto.createHash('sha1').update(data.subarray(offset, offset + PIECE_LENGTH)).digest());
+  }
+  const info = { length: data.length, name, 'piece length': PIECE_LENGTH, pieces: Buffer.concat(hashes) };
+  return {
+    infoHash: crypto.createHash('sha1').update(bencode(info)).digest('hex'),
+    torrent: bencode({ 'creation date': CREATED, info })
+  };
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split a multipart/byteranges body into { headers, body } parts
+function parseMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = Buffer.from(`--${boundary}`);
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    const start = position + delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') break;
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    const next = body.indexOf(delimiter, headerEnd);
+    const headers = body.subarray(start + 2, headerEnd).toString();
+    parts.push({ headers, body: body.subarray(headerEnd + 4, next - 2) });
+    position = next;
+  }
+  return parts;
+}
+
+describe('/stream', { skip: webtorrentError ? `WebTorrent can't load: ${webtorrentError}` : false }, () => {
+  const data = Buffer.from(Array.from({ length: 3 * PIECE_LENGTH + 1234 }, (_, i) => (i * 7 + (i >> 8)) % 256));
+  const size = data.length;
+  const { infoHash, torrent } = createTorrent(FILE_NAME, data);
+  let tmpDir;
+  let server;
+  let output = '';
+  let base;
+  let url;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tss-stream-'));
+    const tempDir = path.join(tmpDir, 'temp');
+    fs.mkdirSync(path.join(tempDir, infoHash), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, infoHash, FILE_NAME), data);
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), '{}');
+    fs.writeFileSync(path.join(tmpDir, 'trackers.txt'), '');
+
+    const port = await getFreePort();
+    base = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [SERVER_PATH], {
+      env: {
+        ...process.env,
+        TSS_CONFIG: path.join(tmpDir, 'config.json'),
+        TSS_HOST: '127.0.0.1',
+        TSS_PORT: String(port),
+        TSS_PASSWORD: '',
+        TSS_TEMP_DIR: tempDir,
+        TSS_DATA_DIR: path.join(tmpDir, 'data'),
+        TSS_MEDIA_DIR: path.join(tmpDir, 'media'),
+        TSS_TRACKERS_FILE: path.join(tmpDir, 'trackers.txt'),
+        TSS_TRACKER_LIST_URL: '',
+        TSS_MIN_FREE_SPACE: '0'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => { output += chunk; });
+    server.stderr.on('data', (chunk) => { output += chunk; });
+
+    // Wait for the server, then for the torrent's data to be verified
+    const deadline = Date.now() + 30000;
+    while (!(await fetch(`${base}/api/status`).then(res => res.ok, () => false))) {
+      if (server.exitCode !== null || Date.now() > deadline) {
+        throw new Error(`Server didn't start:\n${output}`);
+      }
+      await sleep(100);
+    }
+
+    const form = new FormData();
+    form.append('torrent', new Blob([torrent]), 'test.torrent');
+    const added = await fetch(`${base}/api/torrents/upload`, { method: 'POST', body: form });
+    assert.equal(added.status, 200, await added.clone().text());
+
+    while ((await (await fetch(`${base}/api/torrents/${infoHash}/status`)).json()).progress !== 1) {
+      if (Date.now() > deadline) throw new Error(`Torrent data wasn't verified:\n${output}`);
+      await sleep(100);
+    }
+    url = `${base}/stream/${infoHash}/0`;
+  });
+
+  after(async () => {
+    if (server && server.exitCode === null) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill('SIGINT');
+      await Promise.race([exited, sleep(5000)]);
+      if (server.exitCode === null) server.kill('SIGKILL');
+    }
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('sends the whole file with validators and the real file name', async () => {
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-length'), String(size));
+    assert.equal(res.headers.get('content-type'), 'video/mp4');
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(res.headers.get('etag'), `"${infoHash}-0"`);
+    assert.equal(res.headers.get('last-modified'), new Date(CREATED * 1000).toUTCString());
+    assert.equal(
+      res.headers.get('content-disposition'),
+      'inline; filename="Test Movie (2024).mp4"; filename*=UTF-8\'\'Test%20Movie%20%282024%29.mp4'
+    );
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data));
+  });
+
+  it('answers a suffix range with 206', async () => {
+    const res = await fetch(url, { headers: { Range: 'bytes=-500' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), `bytes ${size - 500}-${size - 1}/${size}`);
+    assert.equal(res.headers.get('content-length'), '500');
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data.subarray(size - 500)));
+  });
+
+  it('answers a range across pieces with 206', async () => {
+    const start = PIECE_LENGTH - 100;
+    const end = 2 * PIECE_LENGTH + 99;
+    const res = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), `bytes ${start}-${end}/${size}`);
+    assert.ok(Buffer.from(await res.arrayBuffer()).equals(data.subarray(start, end + 1)));
+  });
+
+  it('answers an unsatisfiable range with 416', async () => {
+    const res = await fetch(url, { headers: { Range: `bytes=${size}-` } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), `bytes */${size}`);
+    await res.arrayBuffer();
+  });
+
+  it('answers HEAD with headers only', async () => {
+    const res = await fetch(url, { method: 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-length'), String(size));
+    assert.equal(res.headers.get('etag'), `"${infoHash}-0"`);
+    assert.equal((await res.arrayBuffer()).byteLength, 0);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const res = await fetch(url, { headers: { 'If-None-Match': `"${infoHash}-0"` } });
+    assert.equal(res.status, 304);
+    await res.arrayBuffer();
+  });
+
+  it('applies the range only when If-Range matches', async () => {
+    const current = await fetch(url, { headers: { Range: 'bytes=0-99', 'If-Range': `"${infoHash}-0"` } });
+    assert.equal(current.status, 206);
+    assert.equal((await current.arrayBuffer()).byteLength, 100);
+
+    const stale = await fetch(url, { headers: { Range: 'bytes=0-99', 'If-Range': '"stale"' } });
+    assert.equal(stale.status, 200);
+    assert.equal((await stale.arrayBuffer()).byteLength, size);
+  });
+
+  it('sends every part of a multi-range request', async () => {
+    const ranges = [[0, 9], [20, 29], [PIECE_LENGTH - 5, PIECE_LENGTH + 4], [size - 10, size - 1]];
+    const res = await fetch(url, { headers: { Range: `bytes=${ranges.map(([s, e]) => `${s}-${e}`).join(',')}` } });
+    assert.equal(res.status, 206);
+
+    const boundary = /^multipart\/byteranges; boundary=(\S+)$/.exec(res.headers.get('content-type'))[1];
+    const body = Buffer.from(await res.arrayBuffer());
+    assert.equal(body.length, Number(res.headers.get('content-length')));
+
+    const parts = parseMultipart(body, boundary);
+    assert.equal(parts.length, ranges.length);
+    parts.forEach((part, i) => {
+      const [start, end] = ranges[i];
+      assert.ok(part.headers.includes(`Content-Range: bytes ${start}-${end}/${size}`));
+      assert.ok(part.body.equals(data.subarray(start, end + 1)));
+    });
+  });
+});